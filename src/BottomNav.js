@@ -0,0 +1,43 @@
+import React from 'react';
+import { Camera, Award, Map, Home, User } from 'lucide-react';
+
+const BottomNav = ({ theme, activeTab, setActiveTab, setCameraActive }) => (
+  <div className={`fixed bottom-0 left-0 right-0 ${theme === 'dark' ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border-t flex items-center justify-around p-2 z-10`}>
+    <button
+      onClick={() => setActiveTab('home')}
+      className={`flex flex-col items-center p-2 ${activeTab === 'home' ? 'text-blue-500' : theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}
+    >
+      <Home size={20} />
+      <span className="text-xs mt-1">홈</span>
+    </button>
+    <button
+      onClick={() => setActiveTab('quest')}
+      className={`flex flex-col items-center p-2 ${activeTab === 'quest' ? 'text-purple-500' : theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}
+    >
+      <Award size={20} />
+      <span className="text-xs mt-1">퀘스트</span>
+    </button>
+    <button
+      onClick={() => setCameraActive(true)}
+      className="flex flex-col items-center justify-center bg-green-500 rounded-full w-12 h-12 -mt-4 shadow-lg text-white"
+    >
+      <Camera size={20} />
+    </button>
+    <button
+      onClick={() => setActiveTab('map')}
+      className={`flex flex-col items-center p-2 ${activeTab === 'map' ? 'text-blue-500' : theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}
+    >
+      <Map size={20} />
+      <span className="text-xs mt-1">지도</span>
+    </button>
+    <button
+      onClick={() => setActiveTab('profile')}
+      className={`flex flex-col items-center p-2 ${activeTab === 'profile' ? 'text-green-500' : theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}
+    >
+      <User size={20} />
+      <span className="text-xs mt-1">프로필</span>
+    </button>
+  </div>
+);
+
+export default BottomNav;
@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Camera, ChevronLeft, Trash } from 'lucide-react';
+import { getMonsterPlacement, useDeviceHeading } from './arPlacement';
+import { describeValidation } from './captureValidation';
+import { captureVideoFrame, captureImageFrame } from './photoEvidence';
+import { protectPrivacy } from './photoPrivacy';
+import PhotoReview from './PhotoReview';
+import {
+  RING_TARGET_SIZE, getCaptureRule, getRingSize, getTimingAccuracy, getTimingGrade,
+  getCaptureChance, resolveCaptureAttempt, getAttemptsUsed, hasAttemptsLeft
+} from './captureGame';
+
+// AR 몬스터 포획 화면
+// 앱 화면이 다시 그려질 때(위치 갱신, 출현 시간대 변경 등) 타이밍 링과 사진 검토가 끊기지 않도록 별도 컴포넌트로 둡니다.
+// location은 현재 위치로, 포획 중에도 계속 갱신되어 몬스터 배치에 반영됩니다.
+// 포획 시도는 onAttempt(monster, outcome)로 앱 상태에 기록하고, 남은 기회도 그 기록(captureAttempts)으로 계산합니다.
+// onCapture(id, { photoId, captureMode, attemptedAt })는 포획 기록 직전의 위치 검증 결과를 반환하고,
+// onReport(photoId)는 찍은 사진으로 신고 양식을 엽니다.
+const CameraScreen = ({
+  location, monsters, isMonsterNearby, level, captureAttempts, checkCapture,
+  onAttempt, onCapture, savePhoto, onReport, onClose
+}) => {
+  const videoRef = useRef(null);
+  // 카메라를 열 때 주변 몬스터 중 하나를 고름
+  const [currentMonster] = useState(() => {
+    const nearbyMonsters = monsters.filter(m => !m.captured && isMonsterNearby(m.lat, m.lng));
+    return nearbyMonsters.length > 0
+      ? nearbyMonsters[Math.floor(Math.random() * nearbyMonsters.length)]
+      : null;
+  });
+  const [flashMessage, setFlashMessage] = useState("");
+  const [showFlash, setShowFlash] = useState(false);
+  // 포획 방식 - camera(카메라 영상), backdrop(일러스트 배경), photo(올린 사진)
+  const [captureMode, setCaptureMode] = useState('camera');
+  const [uploadedPhotoUrl, setUploadedPhotoUrl] = useState(null);
+  const uploadedPhotoRef = useRef(null);
+  const [captureOver, setCaptureOver] = useState(false);
+  const ringRef = useRef(null);
+  const ringStartRef = useRef(0);
+  const [pendingPhoto, setPendingPhoto] = useState(null); // 저장 전 검토 중인 사진 { canvas, attachedTo, attemptedAt }
+  
+  // 휴대폰 방향에 따른 몬스터 화면 배치 (위치를 모르면 화면 가운데)
+  const orientation = useDeviceHeading();
+  const placement = getMonsterPlacement(location, currentMonster, orientation.heading);
+  const monsterInView = !placement || placement.visible;
+  // 지금까지 사용한 포획 시도 횟수 - 카메라를 다시 열어도 이어지도록 앱 상태(captureAttempts)에서 읽음
+  const attempt = currentMonster ? getAttemptsUsed(captureAttempts, currentMonster) : 0;
+  
+  // 플래시 메시지 표시
+  const showFlashMessage = useCallback((message) => {
+    setFlashMessage(message);
+    setShowFlash(true);
+    setTimeout(() => setShowFlash(false), 3000);
+  }, []);
+  
+  // 타이밍 링 애니메이션 - 매 프레임 렌더링하지 않도록 DOM 스타일을 직접 변경
+  useEffect(() => {
+    if (!currentMonster || captureOver) return undefined;
+    
+    let frame = null;
+    ringStartRef.current = performance.now();
+    const animate = (time) => {
+      if (ringRef.current) {
+        const size = getRingSize(time - ringStartRef.current, currentMonster);
+        ringRef.current.style.transform = `translate(-50%, -50%) scale(${size})`;
+      }
+      frame = requestAnimationFrame(animate);
+    };
+    frame = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frame);
+  }, [currentMonster, captureOver]);
+  
+  // 카메라 초기화
+  useEffect(() => {
+    let stream = null;
+    
+    async function setupCamera() {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        });
+        
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+      } catch (err) {
+        // 카메라를 쓸 수 없으면 (데스크톱, 권한 거부) 일러스트 배경으로 계속 진행
+        console.error('카메라 접근 오류:', err);
+        setCaptureMode('backdrop');
+        if (currentMonster) showFlashMessage('카메라를 사용할 수 없어 일러스트 배경으로 진행합니다');
+      }
+    }
+    
+    setupCamera();
+    
+    // 컴포넌트 언마운트 시 카메라 정리
+    return () => {
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [currentMonster, showFlashMessage]);
+  
+  // 주변에 몬스터가 없으면 안내 후 닫기
+  useEffect(() => {
+    if (currentMonster) return undefined;
+    showFlashMessage('주변에 몬스터가 없습니다. 다른 장소로 이동해보세요.');
+    const timer = setTimeout(onClose, 3000);
+    return () => clearTimeout(timer);
+  }, [currentMonster, showFlashMessage, onClose]);
+  
+  // 몬스터 포획 이벤트 - 링 타이밍으로 성공 여부 판정
+  const handleCapture = () => {
+    if (captureOver) return;
+    if (currentMonster && !monsterInView) {
+      showFlashMessage('몬스터가 화면 밖에 있습니다. 휴대폰을 돌려 몬스터를 찾아보세요.');
+      return;
+    }
+    if (currentMonster && !hasAttemptsLeft(captureAttempts, currentMonster)) {
+      setCaptureOver(true);
+      showFlashMessage(`${currentMonster.name}에게 쓸 수 있는 기회를 모두 사용했습니다`);
+      return;
+    }
+    if (currentMonster) {
+      // 목록에서 근처였더라도 지금 위치로 다시 확인 (다른 경로로 카메라를 연 경우 포함)
+      const validation = checkCapture(currentMonster, captureMode);
+      if (!validation.ok) {
+        showFlashMessage(describeValidation(validation));
+        return;
+      }
+      const ringSize = getRingSize(performance.now() - ringStartRef.current, currentMonster);
+      const accuracy = getTimingAccuracy(ringSize);
+      const grade = getTimingGrade(accuracy);
+      const result = resolveCaptureAttempt({
+        monster: currentMonster,
+        level,
+        accuracy,
+        attempt: attempt + 1
+      });
+      onAttempt(currentMonster, result.outcome);
+      
+      if (result.outcome === 'captured') {
+        setCaptureOver(true);
+        showFlashMessage(`${grade.label} ${currentMonster.name}을(를) 포획했습니다!`);
+        startPhotoReview({ kind: 'capture', id: currentMonster.id }, { attemptedAt: Date.now() });
+      } else if (result.outcome === 'missed') {
+        showFlashMessage(`${grade.label} 포획에 실패했습니다. 남은 기회: ${result.attemptsLeft}번`);
+      } else {
+        setCaptureOver(true);
+        showFlashMessage(result.outcome === 'fled'
+          ? `${currentMonster.name}이(가) 도망쳤습니다!`
+          : `기회를 모두 사용해 ${currentMonster.name}을(를) 놓쳤습니다`);
+        setTimeout(onClose, 1500);
+      }
+    } else {
+      showFlashMessage('주변에 몬스터가 없습니다');
+      setTimeout(onClose, 1500);
+    }
+  };
+  
+  // 현재 화면을 증거 사진으로 찍어 무단투기 신고
+  const handleReportWithPhoto = () => {
+    if (!location) {
+      showFlashMessage('위치를 확인할 수 없어 신고할 수 없습니다');
+      return;
+    }
+    // 사진을 찍은 뒤 신고 양식으로 이동
+    startPhotoReview({ kind: 'report' });
+  };
+  
+  // 대체 모드에서 배경으로 쓸 사진 선택
+  const handlePhotoUpload = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    setUploadedPhotoUrl(URL.createObjectURL(file));
+    setCaptureMode('photo');
+  };
+  
+  // 올린 사진의 임시 URL 정리
+  useEffect(() => () => {
+    if (uploadedPhotoUrl) URL.revokeObjectURL(uploadedPhotoUrl);
+  }, [uploadedPhotoUrl]);
+  
+  // 현재 포획 방식의 화면을 캔버스로 찍기 (일러스트 배경은 찍을 사진이 없음)
+  const captureCurrentFrame = () => {
+    if (captureMode === 'camera') return captureVideoFrame(videoRef.current);
+    if (captureMode === 'photo') return captureImageFrame(uploadedPhotoRef.current);
+    return null;
+  };
+  
+  // 사진 검토 시작 - 프레임을 찍어 자동 감지 영역을 가린 뒤 브러시로 더 가릴 수 있게 표시
+  // attemptedAt은 포획에 성공한 시각 (검토하는 동안 출현 시간이 끝나도 포획으로 인정하기 위함)
+  const startPhotoReview = async (attachedTo, { attemptedAt } = {}) => {
+    const canvas = captureCurrentFrame();
+    if (!canvas) {
+      finishPhotoReview(attachedTo, null, attemptedAt);
+      return;
+    }
+    await protectPrivacy(canvas);
+    setPendingPhoto({ canvas, attachedTo, attemptedAt });
+  };
+  
+  // 사진 검토 끝 - 사진(없을 수도 있음)과 함께 포획/신고 처리
+  const finishPhotoReview = (attachedTo, canvas, attemptedAt) => {
+    const photoId = canvas ? savePhoto(canvas, attachedTo) : null;
+    setPendingPhoto(null);
+    if (attachedTo.kind === 'capture') {
+      // 사진을 검토하는 동안 위치가 바뀌었을 수 있으므로 기록 직전에 다시 검증
+      const validation = onCapture(attachedTo.id, { photoId, captureMode, attemptedAt });
+      if (validation && !validation.ok) showFlashMessage(`포획이 취소되었습니다: ${describeValidation(validation)}`);
+    } else {
+      // 나머지 내용은 신고 양식에서 입력
+      onReport(photoId);
+    }
+  };
+  
+  return (
+    <div className="relative h-full w-full">
+      {/* 카메라 비디오 */}
+      <video
+        ref={videoRef}
+        className={`absolute inset-0 w-full h-full object-cover ${captureMode === 'camera' ? '' : 'hidden'}`}
+        autoPlay
+        playsInline
+      />
+      
+      {/* 대체 모드 배경 - 일러스트 또는 올린 사진 */}
+      {captureMode === 'backdrop' && (
+        <div className="absolute inset-0 bg-gradient-to-b from-sky-300 to-green-200 overflow-hidden">
+          <div className="absolute bottom-1/3 left-0 right-0 flex justify-around text-6xl opacity-80">
+            <span>🏘️</span><span>🌳</span><span>🏢</span><span>🌳</span>
+          </div>
+          <div className="absolute bottom-0 left-0 right-0 h-1/3 bg-gray-400"></div>
+        </div>
+      )}
+      {captureMode === 'photo' && uploadedPhotoUrl && (
+        <img
+          ref={uploadedPhotoRef}
+          src={uploadedPhotoUrl}
+          alt="포획 배경"
+          className="absolute inset-0 w-full h-full object-cover"
+        />
+      )}
+      {captureMode !== 'camera' && (
+        <label className="absolute top-20 right-4 bg-white bg-opacity-90 text-gray-800 text-xs font-medium px-3 py-2 rounded-full shadow cursor-pointer">
+          사진으로 배경 바꾸기
+          <input
+            type="file"
+            accept="image/*"
+            capture="environment"
+            className="hidden"
+            onChange={handlePhotoUpload}
+          />
+        </label>
+      )}
+      
+      {/* AR 몬스터 - 바라보는 방향에 있을 때만 방위에 맞춰 표시 */}
+      {currentMonster && monsterInView && (
+        <div
+          className="absolute top-1/2 w-0 h-0"
+          style={{ left: `${(placement ? placement.x : 0.5) * 100}%` }}
+        >
+          <div
+            className="absolute text-8xl"
+            style={{ transform: `translate(-50%, -50%) scale(${placement ? placement.scale : 1})` }}
+          >
+            <div className="animate-bounce">{currentMonster.image}</div>
+          </div>
+          
+          {/* 타이밍 링 - 줄어드는 링이 목표 원과 겹칠 때 포획 */}
+          {!captureOver && (
+            <>
+              <div
+                className="absolute w-64 h-64 rounded-full border-4 border-green-400 pointer-events-none"
+                style={{ transform: `translate(-50%, -50%) scale(${RING_TARGET_SIZE})` }}
+              />
+              <div
+                ref={ringRef}
+                className="absolute w-64 h-64 rounded-full border-4 border-white pointer-events-none"
+                style={{ transform: 'translate(-50%, -50%) scale(1)' }}
+              />
+            </>
+          )}
+        </div>
+      )}
+      
+      {/* 시야 밖 몬스터 방향 안내 */}
+      {currentMonster && !monsterInView && !captureOver && (
+        <div className="absolute top-1/2 left-4 right-4 transform -translate-y-1/2 text-center text-white text-lg font-bold drop-shadow">
+          {placement.turn === 'left' ? '← 왼쪽으로 돌려 몬스터를 찾아보세요' : '오른쪽으로 돌려 몬스터를 찾아보세요 →'}
+        </div>
+      )}
+      
+      {/* 방향 센서 권한 요청 (iOS) 또는 데스크톱용 방향 시뮬레이션 */}
+      {orientation.needsPermission ? (
+        <button
+          onClick={orientation.requestPermission}
+          className="absolute top-20 left-4 bg-white bg-opacity-90 text-gray-800 text-xs font-medium px-3 py-2 rounded-full shadow"
+        >
+          방향 센서 켜기
+        </button>
+      ) : orientation.simulated && (
+        <label className="absolute top-20 left-4 bg-white bg-opacity-90 text-gray-800 text-xs font-medium px-3 py-2 rounded-lg shadow">
+          방향 시뮬레이션 {Math.round(orientation.heading)}°
+          <input
+            type="range"
+            min="0"
+            max="359"
+            value={orientation.heading}
+            onChange={(e) => orientation.setSimulatedHeading(Number(e.target.value))}
+            className="block w-32 mt-1"
+          />
+        </label>
+      )}
+      
+      {/* 위쪽 툴바 */}
+      <div className="absolute top-0 left-0 right-0 bg-black bg-opacity-50 text-white p-4 flex justify-between items-center">
+        <button 
+          onClick={onClose}
+          className="p-2"
+        >
+          <ChevronLeft size={24} />
+        </button>
+        <h2 className="text-lg font-bold">AR 몬스터 포획</h2>
+        <button 
+          onClick={handleReportWithPhoto}
+          className="p-2"
+          title="사진과 함께 무단투기 신고"
+        >
+          <Trash size={24} />
+        </button>
+      </div>
+      
+      {/* 하단 포획 버튼 */}
+      <div className="absolute bottom-8 left-0 right-0 flex justify-center">
+        <button 
+          onClick={handleCapture}
+          disabled={captureOver}
+          className={`bg-purple-600 text-white p-4 rounded-full shadow-lg ${captureOver ? 'opacity-50' : ''}`}
+        >
+          <Camera size={32} />
+        </button>
+      </div>
+      
+      {/* 몬스터 정보 */}
+      {currentMonster && (
+        <div className="absolute bottom-24 left-4 right-4 bg-white bg-opacity-90 p-3 rounded-lg shadow">
+          <div className="flex items-center">
+            <div className="text-3xl mr-3">{currentMonster.image}</div>
+            <div>
+              <div className="flex items-center">
+                <h3 className="font-bold">{currentMonster.name}</h3>
+                <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
+                  currentMonster.rarity === 'rare' ? 'bg-purple-100 text-purple-800' :
+                  currentMonster.rarity === 'uncommon' ? 'bg-blue-100 text-blue-800' :
+                  'bg-green-100 text-green-800'
+                }`}>
+                  {currentMonster.rarity === 'rare' ? '희귀' : 
+                   currentMonster.rarity === 'uncommon' ? '중간' : '일반'}
+                </span>
+              </div>
+              <p className="text-sm text-gray-700">타입: {currentMonster.type} | 포인트: {currentMonster.points}</p>
+              <p className="text-xs text-gray-500">
+                포획 확률 약 {Math.round(getCaptureChance(currentMonster, level, 1) * 100)}% (완벽한 타이밍) | 남은 기회: {Math.max(getCaptureRule(currentMonster).attempts - attempt, 0)}번
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* 플래시 메시지 */}
+      {showFlash && (
+        <div className="absolute top-1/4 left-4 right-4 bg-black bg-opacity-70 text-white p-3 rounded-lg text-center">
+          {flashMessage}
+        </div>
+      )}
+      
+      {/* 사진 검토 - 얼굴이나 번호판을 문질러 가린 뒤 저장 */}
+      {pendingPhoto && (
+        <PhotoReview
+          canvas={pendingPhoto.canvas}
+          onSkip={() => finishPhotoReview(pendingPhoto.attachedTo, null, pendingPhoto.attemptedAt)}
+          onSave={(canvas) => finishPhotoReview(pendingPhoto.attachedTo, canvas, pendingPhoto.attemptedAt)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CameraScreen;
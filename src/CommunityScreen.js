@@ -0,0 +1,344 @@
+import React, { useState } from 'react';
+import { BookOpen, Camera, Leaf, MessageSquare, Search, Share2, ShieldAlert, User } from 'lucide-react';
+import TimeAgo from './TimeAgo';
+import { DAY_MS, HOUR_MS, MINUTE_MS, toIsoAgo } from './relativeTime';
+
+// 커뮤니티 화면
+const CommunityScreen = ({ theme, events, joinEvent }) => {
+  const [activeSection, setActiveSection] = useState('events');
+  const [messageText, setMessageText] = useState('');
+  
+  // 채팅 메시지 데이터
+  const [chatMessages, setChatMessages] = useState([
+    { id: 1, author: '에코히어로123', message: '안녕하세요! 오늘 배밭골 근처에서 몬스터 발견하신 분 계신가요?', sentAt: toIsoAgo(30 * MINUTE_MS), isMe: false },
+    { id: 2, author: '그린워커', message: '저는 오늘 아침에 쓰레기몬 포획했어요! 배밭골 원룸촌 입구 쪽에 있었습니다.', sentAt: toIsoAgo(25 * MINUTE_MS), isMe: false },
+    { id: 3, author: '환경지킴이', message: '이번 주 토요일 벽화 그리기 참여하시는 분들 준비물 확인하세요! 작업복이나 편한 옷 필수입니다~', sentAt: toIsoAgo(15 * MINUTE_MS), isMe: false },
+    { id: 4, author: '나', message: '혹시 페트병 드래곤 출몰 위치 아시는 분? 며칠째 찾고 있는데 못 만났네요 ㅠㅠ', sentAt: toIsoAgo(10 * MINUTE_MS), isMe: true },
+    { id: 5, author: '몬스터헌터', message: '정릉시장 뒷골목에서 자주 보이던데요! 저녁 시간에 한번 가보세요.', sentAt: toIsoAgo(5 * MINUTE_MS), isMe: false }
+  ]);
+  
+  // 게시판 데이터
+  const [boardPosts, setBoardPosts] = useState([
+    { 
+      id: 1, 
+      title: '배밭골 원룸촌 분리수거함 추가 설치 건의', 
+      content: '원룸촌에 분리수거함이 부족해서 무단투기가 많이 발생하는 것 같습니다. 추가 설치가 필요해 보입니다.',
+      author: '에코지킴이',
+      postedAt: toIsoAgo(HOUR_MS),
+      comments: 7,
+      likes: 12,
+      category: '환경시설'
+    },
+    {
+      id: 2,
+      title: '정릉시장 에코백 사용 캠페인 제안',
+      content: '정릉시장에서 장 볼 때 비닐봉지 대신 에코백 사용을 장려하는 캠페인을 해보면 어떨까요?',
+      author: '그린워커',
+      postedAt: toIsoAgo(DAY_MS),
+      comments: 3,
+      likes: 8,
+      category: '제안'
+    },
+    {
+      id: 3,
+      title: '지난 주 벽화 그리기 활동 사진 공유',
+      content: '지난 주 진행한 벽화 그리기 활동 사진을 공유합니다. 많은 분들이 참여해주셔서 감사합니다!',
+      author: '환경지킴이',
+      postedAt: toIsoAgo(3 * DAY_MS),
+      comments: 15,
+      likes: 26,
+      category: '활동공유'
+    },
+    {
+      id: 4,
+      title: '대학가 카페 일회용컵 줄이기 방안',
+      content: '대학가 카페에서 텀블러 사용 시 추가 할인이나 포인트 적립 제도를 확대하면 좋을 것 같아요.',
+      author: '커피러버',
+      postedAt: toIsoAgo(5 * DAY_MS),
+      comments: 9,
+      likes: 14,
+      category: '제안'
+    }
+  ]);
+  
+  // 메시지 전송 처리
+  const handleSendMessage = () => {
+    if (messageText.trim() === '') return;
+    
+    const newMessage = {
+      id: Date.now(),
+      author: '나',
+      message: messageText,
+      sentAt: new Date().toISOString(),
+      isMe: true
+    };
+    
+    setChatMessages([...chatMessages, newMessage]);
+    setMessageText('');
+  };
+  
+  // 이벤트 참가 처리
+  const handleJoinEvent = (eventId) => {
+    joinEvent(eventId);
+  };
+  
+  return (
+    <div className={`flex flex-col h-full pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <h2 className="text-xl font-bold p-4">커뮤니티</h2>
+      
+      {/* 섹션 탭 */}
+      <div className="flex border-b mb-4 bg-white">
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeSection === 'events' ? 'text-orange-500 border-b-2 border-orange-500' : 'text-gray-500'}`}
+          onClick={() => setActiveSection('events')}
+        >
+          이벤트
+        </button>
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeSection === 'board' ? 'text-orange-500 border-b-2 border-orange-500' : 'text-gray-500'}`}
+          onClick={() => setActiveSection('board')}
+        >
+          게시판
+        </button>
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeSection === 'chat' ? 'text-orange-500 border-b-2 border-orange-500' : 'text-gray-500'}`}
+          onClick={() => setActiveSection('chat')}
+        >
+          실시간 채팅
+        </button>
+      </div>
+      
+      {/* 이벤트 섹션 */}
+      {activeSection === 'events' && (
+        <div className="space-y-4 p-4">
+          {events.map(event => (
+            <div key={event.id} className={`p-4 bg-green-50 rounded-lg shadow ${theme === 'dark' ? 'bg-green-900 text-white' : ''}`}>
+              <div className="flex justify-between items-start">
+                <div>
+                  <div className="flex items-center">
+                    <span className="text-2xl mr-2">{event.image}</span>
+                    <h3 className="font-bold text-lg">{event.title}</h3>
+                  </div>
+                  <p className="text-sm text-gray-600">{new Date(event.date).toLocaleString('ko-KR', {
+                    weekday: 'long',
+                    month: 'long',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric'
+                  })} - {event.location}</p>
+                  <div className="flex items-center mt-2">
+                    <User size={14} className="text-gray-500 mr-1" />
+                    <span className="text-xs text-gray-500">참가자: {event.participants}명</span>
+                  </div>
+                </div>
+                <div className={`${
+                  event.category === '환경예술' ? 'bg-green-100 text-green-800' :
+                  event.category === '재활용' ? 'bg-blue-100 text-blue-800' :
+                  'bg-yellow-100 text-yellow-800'
+                } text-xs font-medium px-2 py-1 rounded`}>
+                  {event.category}
+                </div>
+              </div>
+              <p className="text-sm mt-3">{event.description}</p>
+              <div className="flex justify-between items-center mt-4">
+                <div className="text-xs text-gray-500">참가 보상: {event.reward} 포인트</div>
+                <div className="flex space-x-2">
+                  <button 
+                    className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-800 text-sm rounded-md transition-colors flex items-center"
+                    onClick={() => {
+                      // 이벤트 공유 기능
+                    }}
+                  >
+                    <Share2 size={14} className="mr-1" />
+                    공유
+                  </button>
+                  <button 
+                    className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white text-sm rounded-md transition-colors"
+                    onClick={() => handleJoinEvent(event.id)}
+                  >
+                    참가하기
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+          
+          {/* 지나간 이벤트 섹션 */}
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mt-6`}>
+            <h3 className="font-bold border-b pb-2 mb-3">지난 이벤트</h3>
+            <div className="space-y-2">
+              <div className="p-2 border-b flex justify-between items-center">
+                <div>
+                  <p className="font-medium">정릉3동 쓰레기 줍기 대회</p>
+                  <p className="text-xs text-gray-500">2023년 4월 1일</p>
+                </div>
+                <span className="text-xs bg-gray-100 text-gray-800 px-2 py-0.5 rounded-full">종료됨</span>
+              </div>
+              <div className="p-2 border-b flex justify-between items-center">
+                <div>
+                  <p className="font-medium">봄맞이 폐현수막 리사이클링</p>
+                  <p className="text-xs text-gray-500">2023년 3월 15일</p>
+                </div>
+                <span className="text-xs bg-gray-100 text-gray-800 px-2 py-0.5 rounded-full">종료됨</span>
+              </div>
+              <div className="p-2 flex justify-between items-center">
+                <div>
+                  <p className="font-medium">우리 동네 새활용 아이디어 공모전</p>
+                  <p className="text-xs text-gray-500">2023년 3월 1일</p>
+                </div>
+                <span className="text-xs bg-gray-100 text-gray-800 px-2 py-0.5 rounded-full">종료됨</span>
+              </div>
+            </div>
+            <button className="w-full mt-3 py-2 text-sm text-gray-600 hover:text-gray-800">
+              모든 지난 이벤트 보기
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {/* 게시판 섹션 */}
+      {activeSection === 'board' && (
+        <div className="space-y-4 p-4">
+          <div className="flex justify-between mb-4">
+            <div className="relative">
+              <input 
+                type="text" 
+                placeholder="게시글 검색..." 
+                className={`pl-8 pr-4 py-1.5 rounded-lg border ${theme === 'dark' ? 'bg-gray-800 border-gray-700' : 'bg-white'}`}
+              />
+              <Search size={16} className="absolute left-2 top-2 text-gray-400" />
+            </div>
+            <button className="px-3 py-1.5 bg-orange-500 hover:bg-orange-600 text-white text-sm rounded-md transition-colors flex items-center">
+              <MessageSquare size={16} className="mr-1" />
+              글쓰기
+            </button>
+          </div>
+          
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow divide-y`}>
+            {boardPosts.map(post => (
+              <div key={post.id} className="p-4">
+                <div className="flex justify-between">
+                  <h3 className="font-medium">{post.title}</h3>
+                  <span className="text-xs text-gray-500"><TimeAgo time={post.postedAt} /></span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">{post.content}</p>
+                <div className="flex items-center mt-2 text-xs text-gray-500 space-x-4">
+                  <div className="flex items-center">
+                    <MessageSquare size={12} className="mr-1" />
+                    <span>댓글 {post.comments}</span>
+                  </div>
+                  <div className="flex items-center">
+                    <Leaf size={12} className="mr-1" />
+                    <span>공감 {post.likes}</span>
+                  </div>
+                  <span className={`${
+                    post.category === '환경시설' ? 'text-orange-500' :
+                    post.category === '제안' ? 'text-green-500' :
+                    post.category === '활동공유' ? 'text-blue-500' :
+                    'text-gray-500'
+                  }`}>{post.category}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+          
+          {/* 게시판 카테고리 */}
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+            <h3 className="font-bold mb-3">게시판 카테고리</h3>
+            <div className="grid grid-cols-2 gap-2">
+              <button className="p-2 text-sm bg-orange-100 text-orange-800 rounded-md flex items-center">
+                <ShieldAlert size={14} className="mr-2" />
+                환경시설
+              </button>
+              <button className="p-2 text-sm bg-green-100 text-green-800 rounded-md flex items-center">
+                <Leaf size={14} className="mr-2" />
+                제안
+              </button>
+              <button className="p-2 text-sm bg-blue-100 text-blue-800 rounded-md flex items-center">
+                <Camera size={14} className="mr-2" />
+                활동공유
+              </button>
+              <button className="p-2 text-sm bg-purple-100 text-purple-800 rounded-md flex items-center">
+                <BookOpen size={14} className="mr-2" />
+                환경교육
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* 실시간 채팅 섹션 */}
+      {activeSection === 'chat' && (
+        <div className="flex flex-col h-full p-4">
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 flex-1 flex flex-col`}>
+            <div className="flex-1 overflow-y-auto space-y-3 mb-4">
+              {/* 채팅 메시지들 */}
+              {chatMessages.map(msg => (
+                <div key={msg.id} className={`flex ${msg.isMe ? 'justify-end' : ''}`}>
+                  <div className={`rounded-lg p-2 max-w-xs ${
+                    msg.isMe 
+                      ? 'bg-blue-100 text-blue-900'
+                      : theme === 'dark' ? 'bg-gray-700' : 'bg-gray-100'
+                  }`}>
+                    <p className="text-sm">{msg.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">{msg.isMe ? '나' : msg.author} - <TimeAgo time={msg.sentAt} /></p>
+                  </div>
+                </div>
+              ))}
+            </div>
+            
+            {/* 채팅 입력 */}
+            <div className="flex">
+              <input 
+                type="text" 
+                value={messageText}
+                onChange={(e) => setMessageText(e.target.value)}
+                placeholder="메시지를 입력하세요..." 
+                className={`flex-1 border rounded-l-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-300 ${
+                  theme === 'dark' ? 'bg-gray-700 border-gray-600' : ''
+                }`}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter') handleSendMessage();
+                }}
+              />
+              <button 
+                className="bg-blue-500 text-white px-4 py-2 rounded-r-lg hover:bg-blue-600 transition-colors"
+                onClick={handleSendMessage}
+              >
+                전송
+              </button>
+            </div>
+          </div>
+          
+          {/* 채팅 참여자 */}
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} mt-4 rounded-lg shadow p-3`}>
+            <h3 className="font-bold text-sm mb-2">현재 채팅 참여자 (23명)</h3>
+            <div className="flex flex-wrap">
+              <div className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded m-1 flex items-center">
+                <User size={12} className="mr-1" />
+                에코히어로123
+              </div>
+              <div className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded m-1 flex items-center">
+                <User size={12} className="mr-1" />
+                그린워커
+              </div>
+              <div className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded m-1 flex items-center">
+                <User size={12} className="mr-1" />
+                환경지킴이
+              </div>
+              <div className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded m-1 flex items-center">
+                <User size={12} className="mr-1" />
+                몬스터헌터
+              </div>
+              <div className="px-2 py-1 bg-gray-100 text-gray-800 text-xs rounded m-1">
+                +19명
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommunityScreen;
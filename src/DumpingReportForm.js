@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Camera } from 'lucide-react';
+import { WASTE_CATEGORIES } from './wasteCategories';
+import { REPORT_CONFIG, REPORT_VOLUMES, validateReportDraft, offsetLocation } from './dumpingReports';
+import { captureImageFrame } from './photoEvidence';
+import { protectPrivacy } from './photoPrivacy';
+import PhotoReview from './PhotoReview';
+import useScript, { KAKAO_MAP_SDK_URL } from './useScript';
+
+// 무단투기 신고 양식
+// 쓰레기 종류, 예상 양, 사진(선택), 설명을 입력하고 신고 위치 핀을 지도에서 옮길 수 있습니다.
+// 지도를 불러올 수 없으면 방향 버튼으로 핀을 옮깁니다.
+// 앱 화면이 다시 그려져도 입력한 내용이 사라지지 않도록 별도 컴포넌트로 둡니다.
+// 양식에서 고른 사진도 카메라 화면과 같은 사진 검토(PhotoReview)를 거치고,
+// 제출할 때 저장하도록 캔버스(photoCanvas)로 넘깁니다.
+// 카메라 화면에서 이미 검토해 저장한 사진은 initialPhoto로 받아 그대로 연결합니다.
+const DumpingReportForm = ({ initialLocation, initialPhoto = null, theme, onSubmit, onCancel }) => {
+  const [location, setLocation] = useState(initialLocation);
+  const [category, setCategory] = useState(null);
+  const [volume, setVolume] = useState(null);
+  const [description, setDescription] = useState('');
+  const [photo, setPhoto] = useState(null); // 양식에서 고른 사진 { canvas, previewUrl }
+  const [reviewCanvas, setReviewCanvas] = useState(null); // 검토 중인 사진
+  const [keepInitialPhoto, setKeepInitialPhoto] = useState(Boolean(initialPhoto));
+  const [errors, setErrors] = useState([]);
+  const kakaoMapStatus = useScript(KAKAO_MAP_SDK_URL);
+  const mapRef = useRef(null);
+  const markerRef = useRef(null);
+  const mapReady = kakaoMapStatus === 'ready' && window.kakao && window.kakao.maps;
+
+  // 핀을 옮길 수 있는 지도 - 핀을 끌거나 지도를 누르면 신고 위치가 바뀜
+  useEffect(() => {
+    if (!mapReady || !mapRef.current || markerRef.current) return;
+    const { maps } = window.kakao;
+    const position = new maps.LatLng(initialLocation.lat, initialLocation.lng);
+    const map = new maps.Map(mapRef.current, { center: position, level: 2 });
+    const marker = new maps.Marker({ position, map, draggable: true });
+    markerRef.current = marker;
+
+    const moveTo = (latLng) => setLocation({ lat: latLng.getLat(), lng: latLng.getLng() });
+    maps.event.addListener(marker, 'dragend', () => moveTo(marker.getPosition()));
+    maps.event.addListener(map, 'click', (mouseEvent) => {
+      marker.setPosition(mouseEvent.latLng);
+      moveTo(mouseEvent.latLng);
+    });
+  }, [mapReady, initialLocation]);
+
+  // 방향 버튼으로 핀을 옮긴 경우 지도 핀도 맞춤
+  useEffect(() => {
+    if (markerRef.current) {
+      markerRef.current.setPosition(new window.kakao.maps.LatLng(location.lat, location.lng));
+    }
+  }, [location]);
+
+  const nudge = (north, east) => {
+    setLocation(current => offsetLocation(current, north * REPORT_CONFIG.pinStepM, east * REPORT_CONFIG.pinStepM));
+  };
+
+  // 사진 고르기 - 개인정보 감지기(photoPrivacy.js)가 찾은 영역을 가린 뒤 사진 검토로 넘김
+  const selectPhoto = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = async () => {
+      const canvas = captureImageFrame(image);
+      URL.revokeObjectURL(url);
+      await protectPrivacy(canvas);
+      setReviewCanvas(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      setErrors(['사진을 불러올 수 없습니다']);
+    };
+    image.src = url;
+  };
+
+  // 검토를 마친 사진 사용
+  const acceptPhoto = (canvas) => {
+    setPhoto({ canvas, previewUrl: canvas.toDataURL('image/jpeg', 0.6) });
+    setKeepInitialPhoto(false);
+    setReviewCanvas(null);
+  };
+
+  const submit = () => {
+    const draft = { location, category, volume, description };
+    const problems = validateReportDraft(draft);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    onSubmit({
+      ...draft,
+      photoCanvas: photo ? photo.canvas : null,
+      photoId: keepInitialPhoto ? initialPhoto.id : null
+    });
+  };
+
+  const chip = (selected) => `text-xs px-3 py-1 rounded-full ${selected ? 'bg-red-500 text-white' : 'bg-gray-200 text-gray-700'}`;
+  const previewUrl = photo ? photo.previewUrl : keepInitialPhoto ? initialPhoto.dataUrl : null;
+
+  return (
+    <div className={`fixed inset-0 z-50 overflow-y-auto ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <div className="bg-red-500 text-white p-4 flex justify-between items-center">
+        <h2 className="text-lg font-bold">무단투기 신고</h2>
+        <button onClick={onCancel} className="p-1">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <section>
+          <h3 className="font-bold text-sm mb-2">신고 위치</h3>
+          {mapReady ? (
+            <div ref={mapRef} className="w-full h-48 rounded-lg" />
+          ) : (
+            <div className="grid grid-cols-3 gap-1 w-32 mx-auto text-sm">
+              <span />
+              <button className="bg-gray-200 text-gray-700 rounded py-1" onClick={() => nudge(1, 0)}>↑</button>
+              <span />
+              <button className="bg-gray-200 text-gray-700 rounded py-1" onClick={() => nudge(0, -1)}>←</button>
+              <span className="text-center">📍</span>
+              <button className="bg-gray-200 text-gray-700 rounded py-1" onClick={() => nudge(0, 1)}>→</button>
+              <span />
+              <button className="bg-gray-200 text-gray-700 rounded py-1" onClick={() => nudge(-1, 0)}>↓</button>
+              <span />
+            </div>
+          )}
+          <p className="text-xs text-gray-500 mt-1 text-center">
+            {location.lat.toFixed(5)}, {location.lng.toFixed(5)}
+            {mapReady ? ' (핀을 끌거나 지도를 눌러 옮기세요)' : ` (버튼 한 번에 ${REPORT_CONFIG.pinStepM}m)`}
+          </p>
+        </section>
+
+        <section>
+          <h3 className="font-bold text-sm mb-2">쓰레기 종류</h3>
+          <div className="flex flex-wrap gap-2">
+            {WASTE_CATEGORIES.map(option => (
+              <button key={option.id} className={chip(category === option.id)} onClick={() => setCategory(option.id)}>
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="font-bold text-sm mb-2">예상 양</h3>
+          <div className="flex flex-wrap gap-2">
+            {REPORT_VOLUMES.map(option => (
+              <button key={option.id} className={chip(volume === option.id)} onClick={() => setVolume(option.id)}>
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="font-bold text-sm mb-2">사진 (선택)</h3>
+          {previewUrl ? (
+            <div className="relative">
+              <img src={previewUrl} alt="신고 사진" className="w-full max-h-48 object-cover rounded-lg" />
+              <button
+                className="absolute top-2 right-2 bg-black bg-opacity-60 text-white rounded-full p-1"
+                onClick={() => {
+                  setPhoto(null);
+                  setKeepInitialPhoto(false);
+                }}
+              >
+                <X size={16} />
+              </button>
+            </div>
+          ) : (
+            <label className="flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg py-4 text-sm text-gray-500 cursor-pointer">
+              <Camera size={18} className="mr-2" />
+              사진 추가
+              <input type="file" accept="image/*" capture="environment" onChange={selectPhoto} className="hidden" />
+            </label>
+          )}
+          <p className="text-xs text-gray-500 mt-1">다른 사람의 얼굴이나 차량 번호판이 보이지 않게 찍어주세요.</p>
+        </section>
+
+        <section>
+          <h3 className="font-bold text-sm mb-2">설명 (선택)</h3>
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={REPORT_CONFIG.maxDescriptionLength}
+            placeholder="언제, 어떤 쓰레기가 버려져 있는지 적어주세요"
+            className={`w-full h-24 p-2 text-sm rounded-lg border ${theme === 'dark' ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-300'}`}
+          />
+        </section>
+
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 space-y-0.5">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <button className="w-full py-3 bg-red-500 text-white font-bold rounded-lg" onClick={submit}>
+          신고하기
+        </button>
+      </div>
+
+      {reviewCanvas && (
+        <PhotoReview
+          canvas={reviewCanvas}
+          skipLabel="사진 빼기"
+          saveLabel="이 사진 사용"
+          onSkip={() => setReviewCanvas(null)}
+          onSave={acceptPhoto}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DumpingReportForm;
@@ -0,0 +1,233 @@
+import React from 'react';
+import { Camera, Bell, Award, Trash, Leaf, ShieldAlert } from 'lucide-react';
+import { HOTSPOT_LEVELS } from './hotspotSeverity';
+import TimeAgo from './TimeAgo';
+
+// 홈 화면 - 내 포인트, 동네 환경 상태, 알림, 핫스팟, 오늘의 미션, 주변 몬스터 요약
+// 무단투기 신고 버튼은 onReport(현재 위치)로 신고 양식을 엽니다.
+const HomeScreen = ({
+  theme, locationStatus, userPoints, level, levelInfo, rank, environmentScore,
+  notifications, unreadNotificationsCount, markNotificationAsRead, markAllNotificationsAsRead,
+  hotspots, userLocation, onReport, missions, monsters, setActiveTab, setCameraActive
+}) => (
+  <div className={`flex flex-col space-y-4 p-4 pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+    {/* 기본 위치 사용 안내 - 실제 위치가 아니면 몬스터/핫스팟 거리가 맞지 않음 */}
+    {locationStatus.status === 'fallback' && (
+      <div className="bg-yellow-100 border border-yellow-300 text-yellow-800 rounded-lg p-3 text-sm">
+        <p className="font-medium">실제 위치 대신 기본 위치(정릉3동 중심)를 사용 중입니다</p>
+        <p className="text-xs mt-1">
+          {locationStatus.permission === 'denied'
+            ? '브라우저 설정에서 위치 권한을 허용하면 주변 몬스터를 정확히 찾을 수 있습니다.'
+            : locationStatus.error || '위치를 다시 확인하는 중입니다.'}
+        </p>
+      </div>
+    )}
+    
+    {/* 사용자 프로필 카드 */}
+    <div className="bg-gradient-to-r from-green-600 to-blue-500 rounded-lg p-4 text-white shadow-lg">
+      <h2 className="text-xl font-bold mb-2">안녕하세요, 에코 히어로님!</h2>
+      <div className="flex justify-between items-center">
+        <div>
+          <p className="text-sm opacity-90">현재 포인트</p>
+          <p className="text-2xl font-bold">{userPoints} 포인트</p>
+        </div>
+        <div>
+          <div className="flex flex-col items-center">
+            <p className="text-sm opacity-90">레벨</p>
+            <p className="text-xl">{level}</p>
+            <p className="text-xs opacity-90">{levelInfo.title}</p>
+          </div>
+        </div>
+        <div>
+          <p className="text-sm opacity-90">랭킹</p>
+          <p className="text-xl">{rank}위 / 156명</p>
+        </div>
+      </div>
+      <div className="mt-2">
+        <p className="text-xs opacity-90">다음 레벨까지 {levelInfo.pointsToNext} 포인트</p>
+        <div className="w-full bg-white bg-opacity-30 rounded-full h-2 mt-1">
+          <div 
+            className="bg-white h-2 rounded-full" 
+            style={{ width: `${levelInfo.progress * 100}%` }}
+          ></div>
+        </div>
+      </div>
+    </div>
+    
+    {/* 환경 점수 카드 */}
+    <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+      <h3 className="font-bold text-lg border-b pb-2 mb-2 flex items-center">
+        <Leaf size={18} className="mr-2 text-green-500" />
+        정릉3동 환경 상태
+      </h3>
+      <div className="flex justify-center my-2">
+        <div className="relative w-24 h-24">
+          <svg className="w-full h-full" viewBox="0 0 36 36">
+            <path
+              d="M18 2.0845 a 15.9155 15.9155 0 0 1 0 31.831 a 15.9155 15.9155 0 0 1 0 -31.831"
+              fill="none"
+              stroke="#eee"
+              strokeWidth="2"
+            />
+            <path
+              d="M18 2.0845 a 15.9155 15.9155 0 0 1 0 31.831 a 15.9155 15.9155 0 0 1 0 -31.831"
+              fill="none"
+              stroke={environmentScore > 75 ? "#48bb78" : environmentScore > 50 ? "#ecc94b" : "#f56565"}
+              strokeWidth="2"
+              strokeDasharray={`${environmentScore}, 100`}
+              strokeLinecap="round"
+            />
+            <text x="18" y="20.5" className="text-3xl" textAnchor="middle" fill={theme === 'dark' ? 'white' : 'black'}>
+              {environmentScore}
+            </text>
+          </svg>
+        </div>
+      </div>
+      <div className="text-center">
+        <p className="font-medium">
+          {environmentScore > 75 ? "양호" : environmentScore > 50 ? "보통" : "위험"}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">최근 24시간 데이터 기준</p>
+      </div>
+    </div>
+    
+    {/* 알림 섹션 */}
+    <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+      <h3 className="font-bold text-lg border-b pb-2 mb-2 flex items-center justify-between">
+        <div className="flex items-center">
+          <Bell size={18} className="mr-2 text-orange-500" />
+          실시간 알림
+        </div>
+        {unreadNotificationsCount > 0 && (
+          <span className="bg-red-500 text-white text-xs rounded-full px-2 py-1">
+            {unreadNotificationsCount}
+          </span>
+        )}
+      </h3>
+      <div className="space-y-2">
+        {notifications.slice(0, 3).map(notif => (
+          <div 
+            key={notif.id} 
+            className={`p-2 rounded-md ${
+              notif.urgent 
+                ? 'bg-red-50 border-l-4 border-red-500' 
+                : notif.read 
+                  ? (theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50') 
+                  : (theme === 'dark' ? 'bg-blue-900' : 'bg-blue-50')
+            }`}
+            onClick={() => markNotificationAsRead(notif.id)}
+          >
+            <p className={`text-sm ${notif.urgent || !notif.read ? 'font-bold' : ''}`}>{notif.message}</p>
+            <p className="text-xs text-gray-500"><TimeAgo time={notif.createdAt} /></p>
+          </div>
+        ))}
+      </div>
+      <button 
+        className="mt-3 w-full py-2 text-sm bg-orange-100 hover:bg-orange-200 text-orange-800 font-medium rounded-md transition-colors"
+        onClick={() => {
+          markAllNotificationsAsRead();
+          // 알림 전체 보기 모달이나 페이지로 이동하도록 구현 가능
+        }}
+      >
+        {unreadNotificationsCount > 0 ? `${unreadNotificationsCount}개의 알림 모두 보기` : "모든 알림 보기"}
+      </button>
+    </div>
+    
+    {/* 핫스팟 섹션 */}
+    <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+      <h3 className="font-bold text-lg border-b pb-2 mb-2 flex items-center">
+        <Trash size={18} className="mr-2 text-red-500" />
+        무단투기 핫스팟
+      </h3>
+      <div className="space-y-2">
+        {hotspots.slice(0, 3).map(spot => (
+          <div key={spot.id} className="flex justify-between items-center p-2 border-b last:border-b-0">
+            <div>
+              <p className="font-medium">{spot.name}</p>
+              <p className="text-xs text-gray-500">마지막 신고: <TimeAgo time={spot.lastReportAt} /></p>
+            </div>
+            <div className={`px-2 py-1 rounded-full text-xs font-medium ${HOTSPOT_LEVELS[spot.level].badge}`}>
+              {HOTSPOT_LEVELS[spot.level].label}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex space-x-2 mt-3">
+        <button 
+          className="flex-1 py-2 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-md transition-colors"
+          onClick={() => setActiveTab('map')}
+        >
+          지도에서 보기
+        </button>
+        <button 
+          className="flex-1 py-2 bg-red-500 hover:bg-red-600 text-white font-medium rounded-md transition-colors"
+          onClick={() => {
+            // 현재 위치를 처음 핀 위치로 신고 양식 열기
+            if (userLocation) {
+              onReport(userLocation);
+            }
+          }}
+        >
+          무단투기 신고
+        </button>
+      </div>
+    </div>
+    
+    {/* 오늘의 미션 */}
+    <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+      <h3 className="font-bold text-lg border-b pb-2 mb-2 flex items-center">
+        <Award size={18} className="mr-2 text-purple-500" />
+        오늘의 미션
+      </h3>
+      <div className="space-y-2">
+        {missions.filter(m => m.type === 'daily' && !m.completed).slice(0, 2).map(mission => (
+          <div key={mission.id} className="p-2 bg-purple-50 rounded-md">
+            <p className="font-medium">{mission.title}</p>
+            <div className="flex items-center mt-1">
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div 
+                  className="bg-purple-500 h-2 rounded-full transition-all duration-500" 
+                  style={{ width: `${(mission.progress / mission.total) * 100}%` }}
+                ></div>
+              </div>
+              <span className="ml-2 text-sm text-gray-600">{mission.progress}/{mission.total}</span>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">보상: {mission.reward} 포인트</p>
+          </div>
+        ))}
+      </div>
+      <button 
+        className="mt-3 w-full py-2 bg-purple-500 hover:bg-purple-600 text-white font-medium rounded-md transition-colors"
+        onClick={() => setActiveTab('quest')}
+      >
+        퀘스트 시작하기
+      </button>
+    </div>
+    
+    {/* 주변 몬스터 요약 */}
+    <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+      <h3 className="font-bold text-lg border-b pb-2 mb-2 flex items-center">
+        <ShieldAlert size={18} className="mr-2 text-blue-500" />
+        주변 쓰레기 몬스터
+      </h3>
+      <div className="flex justify-around my-2">
+        {monsters.filter(m => !m.captured).slice(0, 3).map(monster => (
+          <div key={monster.id} className="flex flex-col items-center">
+            <div className="text-3xl mb-1">{monster.image}</div>
+            <p className="text-xs font-medium">{monster.name}</p>
+            <p className="text-xs text-gray-500">{monster.location}</p>
+          </div>
+        ))}
+      </div>
+      <button 
+        className="mt-3 w-full py-2 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-md transition-colors flex justify-center items-center"
+        onClick={() => setCameraActive(true)}
+      >
+        <Camera className="mr-2" size={16} />
+        몬스터 포획하기
+      </button>
+    </div>
+  </div>
+);
+
+export default HomeScreen;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { getWasteCategory } from './wasteCategories';
+import { getReportVolume } from './dumpingReports';
+import { WEEKDAY_LABELS, getHourlyFrequency, getWeekdayFrequency, getPeakTimes } from './reportTimeline';
+
+// 막대 그래프 (counts 길이만큼의 막대, labels는 일부만 표시해도 됨)
+const FrequencyChart = ({ title, counts, labels }) => {
+  const max = Math.max(...counts, 1);
+  return (
+    <div className="mb-3">
+      <p className="text-xs font-medium mb-1">{title}</p>
+      <div className="flex items-end h-16 space-x-px">
+        {counts.map((count, i) => (
+          <div key={i} className="flex-1 bg-gray-100 rounded-t h-full flex items-end" title={`${labels[i] || i}: ${count}건`}>
+            <div className="w-full bg-red-400 rounded-t" style={{ height: `${(count / max) * 100}%` }}></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex text-[10px] text-gray-500">
+        {counts.map((count, i) => (
+          <span key={i} className="flex-1 text-center">{labels[i] || ''}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => (hour % 6 === 0 ? `${hour}시` : ''));
+
+// 핫스팟 신고 타임라인 - 신고 기록 목록과 시간대별/요일별 신고 빈도
+// reports는 이 핫스팟의 신고 기록 (최신순), photos는 증거 사진 목록
+// 신고 기록을 남기기 전에 쌓인 신고 수는 목록 없이 건수만 안내합니다.
+const HotspotTimeline = ({ hotspot, reports, photos, theme, onClose }) => {
+  const peak = getPeakTimes(reports);
+  const unrecorded = Math.max(hotspot.reportCount - reports.length, 0);
+
+  return (
+    <div className={`fixed inset-0 z-50 overflow-y-auto ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <div className="bg-green-700 text-white p-4 flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-bold">{hotspot.name}</h2>
+          <p className="text-xs opacity-80">신고 {hotspot.reportCount}회</p>
+        </div>
+        <button onClick={onClose} className="p-1">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="p-4">
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mb-4`}>
+          <h3 className="font-bold mb-2">신고 빈도</h3>
+          {peak ? (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                {peak.weekday}요일, {peak.hour}시 무렵에 신고가 가장 많습니다.
+              </p>
+              <FrequencyChart title="시간대별" counts={getHourlyFrequency(reports)} labels={HOUR_LABELS} />
+              <FrequencyChart title="요일별" counts={getWeekdayFrequency(reports)} labels={WEEKDAY_LABELS} />
+            </>
+          ) : (
+            <p className="text-xs text-gray-500">아직 집계할 신고 기록이 없습니다.</p>
+          )}
+        </div>
+
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow`}>
+          <h3 className="font-bold mb-2">신고 기록</h3>
+          <ul className="space-y-3">
+            {reports.map(report => {
+              const category = getWasteCategory(report.category);
+              const volume = getReportVolume(report.volume);
+              const photo = report.photoId && photos.find(item => item.id === report.photoId);
+              return (
+                <li key={report.id} className="flex border-l-2 border-red-400 pl-3">
+                  <div className="flex-1 text-sm">
+                    <p className="text-xs text-gray-500">
+                      {new Date(report.reportedAt).toLocaleString('ko-KR')}
+                      {report.reporter ? ` · 신고자 ${report.reporter.slice(-4)}` : ''}
+                    </p>
+                    <p>
+                      {[category && category.label, volume && volume.label].filter(Boolean).join(' · ') || '분류 없음'}
+                    </p>
+                    {report.description && <p className="text-xs text-gray-600">{report.description}</p>}
+                  </div>
+                  {photo && (
+                    <img src={photo.dataUrl} alt="증거 사진" className="w-12 h-12 object-cover rounded ml-2" />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {unrecorded > 0 && (
+            <p className="text-xs text-gray-500 mt-3">기록이 남아 있지 않은 이전 신고 {unrecorded}건</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HotspotTimeline;
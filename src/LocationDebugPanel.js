@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { SAMPLE_ROUTE, createLocationSimulator } from './locationSimulator';
+
+// 위치 시뮬레이터 디버그 패널 (개발 빌드 전용 숨김 화면)
+// 설정의 "위치 서비스" 항목을 빠르게 다섯 번 누르면 열립니다.
+// 앱 화면이 다시 그려져도 입력한 경로가 사라지지 않도록 별도 컴포넌트로 둡니다.
+const LocationDebugPanel = ({ simulator, onStart, onStop, onClose }) => {
+  const [routeText, setRouteText] = useState(() => JSON.stringify(SAMPLE_ROUTE, null, 2));
+  const [speed, setSpeed] = useState(5);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  // 재생 상태 표시 갱신
+  useEffect(() => {
+    if (!simulator) {
+      setStatus(null);
+      return undefined;
+    }
+    setStatus(simulator.getStatus());
+    const timer = setInterval(() => setStatus(simulator.getStatus()), 1000);
+    return () => clearInterval(timer);
+  }, [simulator]);
+
+  const startPlayback = () => {
+    try {
+      const next = createLocationSimulator({ route: routeText, speedKmh: speed });
+      setError(null);
+      onStart(next);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  // 경로 파일(GPX, GeoJSON) 불러오기
+  const loadRouteFile = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (file) setRouteText(await file.text());
+  };
+
+  const changeSpeed = (value) => {
+    setSpeed(value);
+    if (simulator) simulator.setSpeed(value);
+  };
+
+  return (
+    <div className="fixed inset-x-0 bottom-0 z-50 bg-gray-900 text-white p-4 rounded-t-xl shadow-2xl text-sm max-h-[70vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-bold">위치 시뮬레이터</h3>
+        <button onClick={onClose} className="p-1">
+          <X size={18} />
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-400 mb-1">경로 (GeoJSON LineString 또는 GPX)</p>
+      <textarea
+        value={routeText}
+        onChange={(e) => setRouteText(e.target.value)}
+        className="w-full h-28 bg-gray-800 text-xs font-mono p-2 rounded"
+      />
+      <input type="file" accept=".gpx,.geojson,.json" onChange={loadRouteFile} className="text-xs mt-1" />
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+
+      <label className="block mt-3">
+        속도 {speed} km/h
+        <input
+          type="range"
+          min="1"
+          max="60"
+          value={speed}
+          onChange={(e) => changeSpeed(Number(e.target.value))}
+          className="block w-full"
+        />
+      </label>
+
+      {status && (
+        <div className="mt-2 text-xs text-gray-300">
+          <p>진행률 {Math.round(status.progress * 100)}% ({status.playing ? '재생 중' : '일시 정지'})</p>
+          <p>{status.position.lat.toFixed(5)}, {status.position.lng.toFixed(5)}</p>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={Math.round(status.progress * 100)}
+            onChange={(e) => {
+              simulator.seek(Number(e.target.value) / 100);
+              setStatus(simulator.getStatus());
+            }}
+            className="block w-full mt-1"
+          />
+        </div>
+      )}
+
+      <div className="flex space-x-2 mt-3">
+        {simulator ? (
+          <>
+            <button
+              className="flex-1 py-2 bg-gray-700 rounded"
+              onClick={() => {
+                if (status && status.playing) simulator.pause();
+                else simulator.resume();
+                setStatus(simulator.getStatus());
+              }}
+            >
+              {status && status.playing ? '일시 정지' : '재생'}
+            </button>
+            <button className="flex-1 py-2 bg-red-600 rounded" onClick={onStop}>
+              실제 위치로 돌아가기
+            </button>
+          </>
+        ) : (
+          <button className="flex-1 py-2 bg-green-600 rounded font-medium" onClick={startPlayback}>
+            경로 재생
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationDebugPanel;
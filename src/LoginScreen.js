@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+// 로그인 화면
+const LoginScreen = ({ onLogin, onCancel }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSignUp, setIsSignUp] = useState(false);
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // 실제 구현에서는 API 연동 필요
+    onLogin();
+  };
+  
+  return (
+    <div className="flex flex-col h-full bg-white p-4">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-bold">{isSignUp ? '회원가입' : '로그인'}</h2>
+        <button onClick={onCancel} className="p-2">
+          <X size={20} />
+        </button>
+      </div>
+      
+      <div className="flex-1">
+        <div className="flex flex-col items-center justify-center mb-8">
+          <div className="text-6xl mb-4">🌱</div>
+          <h3 className="text-lg font-bold mb-2">에코퀘스트</h3>
+          <p className="text-center text-gray-600">
+            환경을 지키는 즐거운 방법
+          </p>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">이메일</label>
+            <input 
+              type="email" 
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+              placeholder="이메일 주소"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">비밀번호</label>
+            <input 
+              type="password" 
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+              placeholder="비밀번호"
+              required
+            />
+          </div>
+          
+          {isSignUp && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">비밀번호 확인</label>
+              <input 
+                type="password" 
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+                placeholder="비밀번호 확인"
+                required
+              />
+            </div>
+          )}
+          
+          <button 
+            type="submit" 
+            className="w-full py-3 bg-green-500 hover:bg-green-600 text-white font-medium rounded-lg transition-colors"
+          >
+            {isSignUp ? '가입하기' : '로그인'}
+          </button>
+        </form>
+        
+        <div className="mt-6 text-center">
+          <p className="text-sm text-gray-600">
+            {isSignUp ? '이미 계정이 있으신가요?' : '계정이 없으신가요?'}
+            <button 
+              className="ml-1 text-green-600 font-medium"
+              onClick={() => setIsSignUp(!isSignUp)}
+            >
+              {isSignUp ? '로그인' : '회원가입'}
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Map } from 'lucide-react';
+import HotspotTimeline from './HotspotTimeline';
+import { getReportVolume } from './dumpingReports';
+import { HOTSPOT_LEVELS, SEVERITY_CONFIG, canConfirmCleanup, getCountedCleanups } from './hotspotSeverity';
+import { formatRelativeTime } from './relativeTime';
+import { getHotspotReports } from './reportTimeline';
+import useScript, { KAKAO_MAP_SDK_URL } from './useScript';
+import { getTopWasteCategories, getWasteCategory } from './wasteCategories';
+
+// 지도 화면 - 무단투기 핫스팟과 주변 몬스터
+// 핫스팟에서 신고하면 onReport(위치)로 그 핫스팟 위치의 신고 양식을 엽니다.
+const MapScreen = ({
+  theme, userLocation, monsters, hotspots, reports, photos, onReport,
+  reporterId, confirmCleanup, setCameraActive
+}) => {
+  const mapRef = useRef(null);
+  const mapInstanceRef = useRef(null); // 한 번 만든 카카오맵
+  const userMarkerRef = useRef(null); // 현재 위치 마커와 인포윈도우 { marker, info }
+  const [mapReady, setMapReady] = useState(false);
+  const [mapMode, setMapMode] = useState('hotspots'); // 'hotspots' or 'monsters'
+  const [selectedHotspotId, setSelectedHotspotId] = useState(null);
+  const [showTimeline, setShowTimeline] = useState(false); // 선택한 핫스팟의 신고 타임라인
+  
+  // 선택한 핫스팟 - 신고나 정리 확인으로 바뀐 내용이 바로 보이도록 id로 찾음
+  const selectedHotspot = hotspots.find(spot => spot.id === selectedHotspotId) || null;
+  
+  // 선택한 핫스팟의 최근 증거 사진 (용량 한도로 지워진 사진은 건너뜀)
+  const selectedHotspotPhotos = useMemo(() => {
+    const photoIds = (selectedHotspot && selectedHotspot.photoIds) || [];
+    if (photoIds.length === 0) return [];
+    return photos.filter(photo => photoIds.includes(photo.id)).slice(-3);
+  }, [selectedHotspot, photos]);
+  
+  // 선택한 핫스팟의 신고 기록 (최신순)
+  const selectedHotspotReports = useMemo(() => (
+    selectedHotspot ? getHotspotReports(reports, selectedHotspot.id) : []
+  ), [selectedHotspot, reports]);
+  const latestReport = selectedHotspotReports[0];
+  // 위험도에 반영된 정리 확인 수와, 이 기기에서 최근에 이미 확인했는지 (hotspotSeverity.js)
+  const cleanupCount = selectedHotspot ? getCountedCleanups(selectedHotspot.cleanups).length : 0;
+  const cleanupConfirmed = Boolean(selectedHotspot && reporterId && !canConfirmCleanup(selectedHotspot, reporterId));
+  
+  // 카카오맵 스크립트 로드 - 환경 변수 사용
+  const kakaoMapStatus = useScript(KAKAO_MAP_SDK_URL);
+  
+  // 지도 마커 렌더링 함수 - 만든 지도 요소(마커, 원, 인포윈도우) 목록을 반환
+  const renderMapMarkers = useCallback((map, mode) => {
+    const overlays = [];
+    
+    if (mode === 'hotspots') {
+      // 핫스팟 마커 추가
+      hotspots.forEach(spot => {
+        const marker = new window.kakao.maps.Marker({
+          position: new window.kakao.maps.LatLng(spot.lat, spot.lng),
+          map: map
+        });
+        overlays.push(marker);
+        
+        // 마커 스타일 설정
+        let markerImage;
+        if (spot.level === 'high') {
+          markerImage = new window.kakao.maps.MarkerImage(
+            'https://t1.daumcdn.net/localimg/localimages/07/mapapidoc/markerStar.png',
+            new window.kakao.maps.Size(24, 35)
+          );
+          marker.setImage(markerImage);
+        }
+        
+        // 신고 지점들이 모인 범위 (hotspotClustering.js의 반경)
+        if (spot.radiusKm) {
+          overlays.push(new window.kakao.maps.Circle({
+            map: map,
+            center: new window.kakao.maps.LatLng(spot.lat, spot.lng),
+            radius: spot.radiusKm * 1000,
+            strokeWeight: 1,
+            strokeColor: HOTSPOT_LEVELS[spot.level].color,
+            fillColor: HOTSPOT_LEVELS[spot.level].color,
+            fillOpacity: 0.15
+          }));
+        }
+        
+        // 인포윈도우 추가
+        const infowindow = new window.kakao.maps.InfoWindow({
+          content: `
+            <div class="p-2">
+              <div class="font-bold">${spot.name}</div>
+              <div class="text-xs">마지막 신고: ${formatRelativeTime(spot.lastReportAt)}</div>
+              <div class="text-xs">신고 횟수: ${spot.reportCount}회</div>
+            </div>
+          `,
+          removable: true
+        });
+        overlays.push(infowindow);
+        
+        // 마커 클릭 이벤트
+        window.kakao.maps.event.addListener(marker, 'click', function() {
+          infowindow.open(map, marker);
+          setSelectedHotspotId(spot.id);
+        });
+      });
+    } else if (mode === 'monsters') {
+      // 몬스터 마커 추가
+      monsters.forEach(monster => {
+        if (!monster.captured) {
+          const monsterMarker = new window.kakao.maps.Marker({
+            position: new window.kakao.maps.LatLng(monster.lat, monster.lng),
+            map: map
+          });
+          overlays.push(monsterMarker);
+          
+          // 몬스터 인포윈도우
+          const monsterInfo = new window.kakao.maps.InfoWindow({
+            content: `
+              <div class="p-2">
+                <div class="font-bold">${monster.name} ${monster.image}</div>
+                <div class="text-xs">타입: ${monster.type} | 포인트: ${monster.points}</div>
+                <div class="text-xs">희귀도: ${
+                  monster.rarity === 'rare' ? '희귀' : 
+                  monster.rarity === 'uncommon' ? '중간' : '일반'
+                }</div>
+              </div>
+            `,
+            removable: true
+          });
+          overlays.push(monsterInfo);
+          
+          // 마커 클릭 이벤트
+          window.kakao.maps.event.addListener(monsterMarker, 'click', function() {
+            monsterInfo.open(map, monsterMarker);
+          });
+        }
+      });
+    }
+    return overlays;
+  }, [hotspots, monsters]);
+  
+  // 카카오맵 초기화 - 첫 위치를 받으면 한 번만 만들고, 이후 위치 갱신으로는 다시 만들지 않음
+  // (사용자가 옮긴 지도 위치와 확대 수준, 열린 인포윈도우를 유지)
+  useEffect(() => {
+    if (mapInstanceRef.current) return;
+    if (mapRef.current && userLocation && kakaoMapStatus === "ready" && window.kakao && window.kakao.maps) {
+      try {
+        // 카카오 맵 초기화
+        const options = {
+          center: new window.kakao.maps.LatLng(userLocation.lat, userLocation.lng),
+          level: 3
+        };
+        
+        mapInstanceRef.current = new window.kakao.maps.Map(mapRef.current, options);
+        setMapReady(true);
+      } catch (error) {
+        console.error("카카오맵 초기화 오류:", error);
+      }
+    }
+  }, [userLocation, kakaoMapStatus]);
+  
+  // 현재 위치 마커 - 위치가 바뀌면 마커만 옮김
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!mapReady || !map || !userLocation) return;
+    
+    const position = new window.kakao.maps.LatLng(userLocation.lat, userLocation.lng);
+    const content = userLocation.fallback
+      ? '<div class="p-2 text-center">기본 위치 (실제 위치 아님)</div>'
+      : '<div class="p-2 text-center">현재 위치</div>';
+    
+    if (!userMarkerRef.current) {
+      const marker = new window.kakao.maps.Marker({ position, map });
+      const info = new window.kakao.maps.InfoWindow({ content });
+      info.open(map, marker);
+      userMarkerRef.current = { marker, info };
+    } else {
+      userMarkerRef.current.marker.setPosition(position);
+      userMarkerRef.current.info.setContent(content);
+    }
+  }, [mapReady, userLocation]);
+  
+  // 핫스팟/몬스터 마커 - 목록이나 지도 모드가 바뀌면 지도는 그대로 두고 마커만 다시 그림
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!mapReady || !map) return undefined;
+    
+    const { InfoWindow } = window.kakao.maps;
+    const overlays = renderMapMarkers(map, mapMode);
+    return () => {
+      overlays.forEach(overlay => {
+        if (overlay instanceof InfoWindow) overlay.close();
+        else overlay.setMap(null);
+      });
+    };
+  }, [mapReady, mapMode, renderMapMarkers]);
+  
+  return (
+    <div className={`flex flex-col h-full pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <div className="p-4 bg-blue-100">
+        <h2 className="text-xl font-bold text-blue-800">환경 지도</h2>
+        <p className="text-sm text-blue-600">무단투기 핫스팟과 몬스터 출현 지역을 확인하세요</p>
+      </div>
+      
+      {/* 지도 모드 전환 탭 */}
+      <div className="bg-white flex">
+        <button
+          className={`flex-1 py-3 font-medium ${mapMode === 'hotspots' ? 'text-red-500 border-b-2 border-red-500' : 'text-gray-500'}`}
+          onClick={() => setMapMode('hotspots')}
+        >
+          무단투기 핫스팟
+        </button>
+        <button
+          className={`flex-1 py-3 font-medium ${mapMode === 'monsters' ? 'text-blue-500 border-b-2 border-blue-500' : 'text-gray-500'}`}
+          onClick={() => setMapMode('monsters')}
+        >
+          몬스터 출현
+        </button>
+      </div>
+      
+      <div className="relative flex-1">
+        {kakaoMapStatus === "ready" && window.kakao && window.kakao.maps ? (
+          <div ref={mapRef} className="w-full h-full"></div>
+        ) : (
+          <div className="w-full h-full flex items-center justify-center bg-blue-50">
+            <div className="text-center">
+              <Map size={48} className="mx-auto mb-3 text-blue-500" />
+              <p className="text-gray-600">지도를 불러오는 중...</p>
+            </div>
+          </div>
+        )}
+                  
+        {/* 범례 */}
+        <div className="absolute bottom-4 left-4 right-4 bg-white p-3 rounded-lg shadow-md">
+          {mapMode === 'hotspots' ? (
+            <>
+              <h3 className="font-bold mb-2">핫스팟 범례</h3>
+              <div className="grid grid-cols-4 gap-2">
+                {Object.entries(HOTSPOT_LEVELS).map(([levelId, info]) => (
+                  <div key={levelId} className="flex items-center">
+                    <div className={`w-3 h-3 rounded-full ${info.dot} mr-2`}></div>
+                    <span className="text-xs">{info.label}</span>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                최근 신고일수록 크게 반영되며 {SEVERITY_CONFIG.halfLifeDays}일마다 절반으로 줄어듭니다.
+                {SEVERITY_CONFIG.quietDays}일 동안 신고가 없으면 정리됨으로 바뀝니다.
+              </p>
+              {selectedHotspot && (
+                <div className="mt-2 pt-2 border-t">
+                  <div className="flex justify-between">
+                    <h4 className="font-medium">{selectedHotspot.name}</h4>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${HOTSPOT_LEVELS[selectedHotspot.level].badge}`}>
+                      {HOTSPOT_LEVELS[selectedHotspot.level].label}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    신고 횟수: {selectedHotspot.reportCount}회 | 위험도 점수: {selectedHotspot.severity}
+                    {cleanupCount > 0 && ` | 정리 확인 ${cleanupCount}회`}
+                  </p>
+                  {getTopWasteCategories(selectedHotspot.wasteCounts).length > 0 && (
+                    <p className="text-xs text-gray-500">
+                      주요 쓰레기: {getTopWasteCategories(selectedHotspot.wasteCounts).slice(0, 3)
+                        .map(category => `${category.label} ${category.count}`).join(', ')}
+                    </p>
+                  )}
+                  {latestReport && (
+                    <p className="text-xs text-gray-500">
+                      최근 신고: {[
+                        getWasteCategory(latestReport.category) && getWasteCategory(latestReport.category).label,
+                        getReportVolume(latestReport.volume) && getReportVolume(latestReport.volume).label,
+                        latestReport.description
+                      ].filter(Boolean).join(' · ') || '내용 없음'}
+                    </p>
+                  )}
+                  <button
+                    className="text-xs text-blue-600 underline mt-1"
+                    onClick={() => setShowTimeline(true)}
+                  >
+                    신고 기록 보기 ({selectedHotspotReports.length}건)
+                  </button>
+                  {selectedHotspotPhotos.length > 0 && (
+                    <div className="flex space-x-1 mt-2">
+                      {selectedHotspotPhotos.map(photo => (
+                        <img
+                          key={photo.id}
+                          src={photo.dataUrl}
+                          alt={`증거 사진 ${new Date(photo.takenAt).toLocaleString('ko-KR')}`}
+                          className="w-12 h-12 object-cover rounded"
+                        />
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex space-x-2 mt-2">
+                    <button 
+                      className="flex-1 py-1.5 bg-red-500 text-white text-xs font-medium rounded-md"
+                      onClick={() => onReport({ lat: selectedHotspot.lat, lng: selectedHotspot.lng })}
+                    >
+                      무단투기 신고
+                    </button>
+                    <button 
+                      className={`flex-1 py-1.5 bg-green-500 text-white text-xs font-medium rounded-md ${cleanupConfirmed ? 'opacity-50' : ''}`}
+                      onClick={() => confirmCleanup(selectedHotspot.id)}
+                      disabled={cleanupConfirmed}
+                    >
+                      {cleanupConfirmed ? '정리 확인함' : '정리 완료 확인'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <h3 className="font-bold mb-2">몬스터 범례</h3>
+              <div className="grid grid-cols-3 gap-2">
+                <div className="flex items-center">
+                  <div className="w-3 h-3 rounded-full bg-purple-500 mr-2"></div>
+                  <span className="text-xs">희귀 몬스터</span>
+                </div>
+                <div className="flex items-center">
+                  <div className="w-3 h-3 rounded-full bg-blue-500 mr-2"></div>
+                  <span className="text-xs">중간 몬스터</span>
+                </div>
+                <div className="flex items-center">
+                  <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
+                  <span className="text-xs">일반 몬스터</span>
+                </div>
+              </div>
+              <div className="mt-2 text-xs text-gray-500">
+                몬스터를 포획하려면 실제로 해당 위치에 가까이 가야 합니다.
+              </div>
+              <button 
+                className="mt-2 w-full py-1.5 bg-blue-500 text-white text-xs font-medium rounded-md"
+                onClick={() => setCameraActive(true)}
+              >
+                AR 카메라 켜기
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      
+      {showTimeline && selectedHotspot && (
+        <HotspotTimeline
+          hotspot={selectedHotspot}
+          reports={selectedHotspotReports}
+          photos={photos}
+          theme={theme}
+          onClose={() => setShowTimeline(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MapScreen;
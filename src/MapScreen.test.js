@@ -0,0 +1,116 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import MapScreen from './MapScreen';
+
+jest.mock('./useScript', () => ({
+  __esModule: true,
+  default: () => 'ready',
+  KAKAO_MAP_SDK_URL: 'kakao-sdk'
+}));
+
+// 카카오맵 SDK 대역 - 만든 지도와 마커를 기록
+const createFakeKakao = () => {
+  const created = { maps: [], markers: [], circles: [], infoWindows: [] };
+  class Overlay {
+    constructor(options) {
+      this.options = options;
+      this.setMap = jest.fn();
+      this.setImage = jest.fn();
+      this.setPosition = jest.fn();
+    }
+  }
+  class Marker extends Overlay {
+    constructor(options) {
+      super(options);
+      created.markers.push(this);
+    }
+  }
+  class Circle extends Overlay {
+    constructor(options) {
+      super(options);
+      created.circles.push(this);
+    }
+  }
+  class InfoWindow {
+    constructor(options) {
+      this.options = options;
+      this.open = jest.fn();
+      this.close = jest.fn();
+      this.setContent = jest.fn();
+      created.infoWindows.push(this);
+    }
+  }
+  return {
+    created,
+    kakao: {
+      maps: {
+        LatLng: class { constructor(lat, lng) { this.lat = lat; this.lng = lng; } },
+        Size: class {},
+        MarkerImage: class {},
+        Map: class { constructor() { created.maps.push(this); } },
+        Marker,
+        Circle,
+        InfoWindow,
+        event: { addListener: jest.fn() }
+      }
+    }
+  };
+};
+
+const hotspot = {
+  id: 1, name: '정릉시장 뒷골목', lat: 37.603, lng: 127.018, radiusKm: 0.05, level: 'medium',
+  reportCount: 3, wasteCounts: {}, cleanups: [], photoIds: [], lastReportAt: '2026-03-01T09:00:00.000Z'
+};
+
+const renderMap = (props) => (
+  <MapScreen
+    theme="light"
+    monsters={[]}
+    hotspots={[hotspot]}
+    reports={[]}
+    photos={[]}
+    onReport={() => {}}
+    reporterId="reporter-1"
+    confirmCleanup={() => {}}
+    setCameraActive={() => {}}
+    {...props}
+  />
+);
+
+describe('MapScreen 지도', () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = createFakeKakao();
+    window.kakao = fake.kakao;
+  });
+
+  afterEach(() => {
+    delete window.kakao;
+  });
+
+  it('위치가 바뀌어도 지도를 다시 만들지 않고 현재 위치 마커만 옮긴다', () => {
+    const { rerender } = render(renderMap({ userLocation: { lat: 37.602, lng: 127.015 } }));
+    expect(fake.created.maps).toHaveLength(1);
+    const [userMarker] = fake.created.markers;
+
+    rerender(renderMap({ userLocation: { lat: 37.6021, lng: 127.0151 } }));
+
+    expect(fake.created.maps).toHaveLength(1);
+    expect(userMarker.setPosition).toHaveBeenCalledWith(expect.objectContaining({ lat: 37.6021, lng: 127.0151 }));
+  });
+
+  it('핫스팟이 바뀌면 이전 마커를 지우고 같은 지도에 다시 그린다', () => {
+    const userLocation = { lat: 37.602, lng: 127.015 };
+    const { rerender } = render(renderMap({ userLocation }));
+    const [, firstHotspotMarker] = fake.created.markers;
+    const [firstCircle] = fake.created.circles;
+
+    rerender(renderMap({ userLocation, hotspots: [{ ...hotspot, reportCount: 4 }] }));
+
+    expect(fake.created.maps).toHaveLength(1);
+    expect(firstHotspotMarker.setMap).toHaveBeenCalledWith(null);
+    expect(firstCircle.setMap).toHaveBeenCalledWith(null);
+    expect(fake.created.markers).toHaveLength(3);
+  });
+});
@@ -0,0 +1,56 @@
+import React, { useEffect, useRef } from 'react';
+import { BLUR_CONFIG, applyBlurRegions, toCanvasPoint } from './photoPrivacy';
+
+// 사진 검토 - 얼굴이나 번호판을 문질러 가린 뒤 저장
+// canvas는 자동 감지 영역(photoPrivacy.js)을 이미 가린 사진입니다.
+// 브러시는 미리보기 캔버스에 칠하고, 저장하면 그 캔버스를 onSave로 넘깁니다.
+// 증거 사진은 카메라 화면에서 찍든 신고 양식에서 고르든 이 화면을 거쳐 저장합니다.
+const PhotoReview = ({ canvas, skipLabel = '사진 없이 진행', saveLabel = '사진 저장', onSkip, onSave }) => {
+  const previewRef = useRef(null);
+  const brushingRef = useRef(false);
+
+  // 검토할 사진을 미리보기 캔버스에 복사
+  useEffect(() => {
+    const preview = previewRef.current;
+    if (!canvas || !preview) return;
+    preview.width = canvas.width;
+    preview.height = canvas.height;
+    preview.getContext('2d').drawImage(canvas, 0, 0);
+  }, [canvas]);
+
+  // 브러시로 칠한 곳 모자이크
+  const paintBlur = (event) => {
+    if (!brushingRef.current || !previewRef.current) return;
+    const point = toCanvasPoint(previewRef.current, event.clientX, event.clientY);
+    applyBlurRegions(previewRef.current, [{ ...point, radius: BLUR_CONFIG.brushRadius }]);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-90 text-white flex flex-col p-4">
+      <h3 className="font-bold mb-1">사진 검토</h3>
+      <p className="text-xs text-gray-300 mb-3">
+        사람 얼굴이나 차량 번호판이 보이면 손가락으로 문질러 가려주세요. 사진의 위치 정보는 이미지에 남지 않습니다.
+      </p>
+      <div className="flex-1 flex items-center justify-center overflow-hidden">
+        <canvas
+          ref={previewRef}
+          className="max-w-full max-h-full touch-none"
+          onPointerDown={(e) => { brushingRef.current = true; paintBlur(e); }}
+          onPointerMove={paintBlur}
+          onPointerUp={() => { brushingRef.current = false; }}
+          onPointerLeave={() => { brushingRef.current = false; }}
+        />
+      </div>
+      <div className="flex space-x-2 mt-3">
+        <button className="flex-1 py-2 bg-gray-600 rounded-md" onClick={onSkip}>
+          {skipLabel}
+        </button>
+        <button className="flex-1 py-2 bg-purple-600 rounded-md font-medium" onClick={() => onSave(previewRef.current)}>
+          {saveLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoReview;
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import { Bell, Gift, Map, Settings } from 'lucide-react';
+import TimeAgo from './TimeAgo';
+import { FILTERABLE_SOURCES, POINT_SOURCES, getTransactionHistory } from './pointsLedger';
+
+// 프로필 화면
+const ProfileScreen = ({
+  theme, userPoints, level, levelInfo, rank, badges, friends, pointsLedger, userLocation,
+  locationStatus, loadingLocation, locationSimulator, isNotificationsEnabled,
+  toggleNotifications, toggleTheme, inviteFriend, openDebugPanelOnTaps, setActiveTab
+}) => {
+  const [historySource, setHistorySource] = useState(null); // null이면 전체
+  const [showAllHistory, setShowAllHistory] = useState(false);
+  const transactionHistory = getTransactionHistory(pointsLedger, historySource);
+  
+  return (
+    <div className={`flex flex-col h-full pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <div className="p-4 bg-green-100">
+        <h2 className="text-xl font-bold text-green-800">프로필</h2>
+        <p className="text-sm text-green-600">계정 설정 및 친구 관리</p>
+      </div>
+      
+      {/* 사용자 프로필 정보 */}
+      <div className="p-4">
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+          <div className="flex items-center">
+            <div className="text-4xl mr-3">🦸‍♂️</div>
+            <div>
+              <h3 className="text-xl font-bold">에코 히어로</h3>
+              <p className="text-sm text-gray-500">가입일: 2023년 1월 15일</p>
+            </div>
+          </div>
+          <div className="mt-4 grid grid-cols-3 gap-2 text-center">
+            <div>
+              <p className="text-sm text-gray-500">레벨</p>
+              <p className="font-bold">{level}</p>
+              <p className="text-xs text-gray-500">{levelInfo.title}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">포인트</p>
+              <p className="font-bold">{userPoints}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">랭킹</p>
+              <p className="font-bold">{rank}위</p>
+            </div>
+          </div>
+          <button className="mt-4 w-full py-2 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md transition-colors">
+            프로필 편집
+          </button>
+        </div>
+        
+        {/* 포인트 내역 */}
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+          <h3 className="font-bold mb-3">포인트 내역</h3>
+          <div className="flex flex-wrap gap-1 mb-3">
+            {[null, ...FILTERABLE_SOURCES].map(source => (
+              <button
+                key={source || 'all'}
+                className={`px-2 py-1 text-xs rounded-full ${
+                  historySource === source 
+                    ? 'bg-green-500 text-white' 
+                    : theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+                }`}
+                onClick={() => {
+                  setHistorySource(source);
+                  setShowAllHistory(false);
+                }}
+              >
+                {source ? POINT_SOURCES[source] : '전체'}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {(showAllHistory ? transactionHistory : transactionHistory.slice(0, 5)).map(entry => (
+              <div key={entry.id} className="flex justify-between items-center p-2 border-b last:border-b-0">
+                <div className="flex-1 mr-2">
+                  <p className="text-sm font-medium">{entry.description || POINT_SOURCES[entry.source]}</p>
+                  <p className="text-xs text-gray-500">
+                    {POINT_SOURCES[entry.source]} · {new Date(entry.timestamp).toLocaleString('ko-KR', {
+                      month: 'long',
+                      day: 'numeric',
+                      hour: 'numeric',
+                      minute: 'numeric'
+                    })}
+                  </p>
+                </div>
+                <span className={`text-sm font-bold ${entry.amount >= 0 ? 'text-green-600' : 'text-red-500'}`}>
+                  {entry.amount >= 0 ? '+' : ''}{entry.amount}
+                </span>
+              </div>
+            ))}
+            {transactionHistory.length === 0 && (
+              <p className="text-sm text-gray-500 text-center">내역이 없습니다.</p>
+            )}
+          </div>
+          {transactionHistory.length > 5 && (
+            <button 
+              className="w-full mt-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+              onClick={() => setShowAllHistory(!showAllHistory)}
+            >
+              {showAllHistory ? '접기' : `전체 ${transactionHistory.length}건 보기`}
+            </button>
+          )}
+        </div>
+        
+        {/* 배지 및 업적 */}
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+          <h3 className="font-bold mb-3">대표 배지</h3>
+          <div className="flex space-x-3 justify-center mb-3">
+            {badges.filter(b => b.unlocked).slice(0, 3).map(badge => (
+              <div key={badge.id} className="text-center">
+                <div className="text-4xl mb-1">{badge.image}</div>
+                <p className="text-xs font-medium">{badge.name}</p>
+              </div>
+            ))}
+            {badges.filter(b => b.unlocked).length === 0 && (
+              <p className="text-sm text-gray-500">아직 획득한 배지가 없습니다.</p>
+            )}
+          </div>
+          <button 
+            className="w-full py-2 text-sm bg-gray-100 hover:bg-gray-200 font-medium rounded-md transition-colors"
+            onClick={() => {
+              setActiveTab('quest');
+              // 배지 탭으로 이동
+            }}
+          >
+            모든 배지 보기
+          </button>
+        </div>
+        
+        {/* 친구 목록 */}
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-bold">친구 목록</h3>
+            <button className="text-sm text-blue-500">친구 추가</button>
+          </div>
+          <div className="space-y-3">
+            {friends.map(friend => (
+              <div key={friend.id} className="flex justify-between items-center p-2 border-b last:border-b-0">
+                <div className="flex items-center">
+                  <div className="text-2xl mr-2">{friend.avatar}</div>
+                  <div>
+                    <p className="font-medium">{friend.name}</p>
+                    <p className="text-xs text-gray-500">최근 활동: <TimeAgo time={friend.lastActiveAt} /></p>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm font-medium">Lv.{friend.level}</p>
+                  <p className="text-xs text-gray-500">{friend.points} 포인트</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        
+        {/* 설정 섹션 */}
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+          <h3 className="font-bold mb-3">설정</h3>
+          <div className="space-y-3">
+            <div className="flex justify-between items-center p-2 border-b">
+              <div className="flex items-center">
+                <Bell size={18} className="mr-2 text-gray-500" />
+                <p>알림 설정</p>
+              </div>
+              <div className="relative inline-block w-10 mr-2 align-middle select-none">
+                <input 
+                  type="checkbox" 
+                  checked={isNotificationsEnabled}
+                  onChange={toggleNotifications}
+                  className="toggle-checkbox absolute block w-6 h-6 rounded-full bg-white border-4 appearance-none cursor-pointer"
+                />
+                <label 
+                  className={`toggle-label block overflow-hidden h-6 rounded-full cursor-pointer ${
+                    isNotificationsEnabled ? 'bg-green-500' : 'bg-gray-300'
+                  }`}
+                ></label>
+              </div>
+            </div>
+            <div className="flex justify-between items-center p-2 border-b">
+              <div className="flex items-center">
+                <Settings size={18} className="mr-2 text-gray-500" />
+                <p>다크 모드</p>
+              </div>
+              <div className="relative inline-block w-10 mr-2 align-middle select-none">
+                <input 
+                  type="checkbox" 
+                  checked={theme === 'dark'}
+                  onChange={toggleTheme}
+                  className="toggle-checkbox absolute block w-6 h-6 rounded-full bg-white border-4 appearance-none cursor-pointer"
+                />
+                <label 
+                  className={`toggle-label block overflow-hidden h-6 rounded-full cursor-pointer ${
+                    theme === 'dark' ? 'bg-green-500' : 'bg-gray-300'
+                  }`}
+                ></label>
+              </div>
+            </div>
+            <div className="flex justify-between items-center p-2 border-b" onClick={openDebugPanelOnTaps}>
+              <div className="flex items-center">
+                <Map size={18} className="mr-2 text-gray-500" />
+                <p>위치 서비스</p>
+              </div>
+              <div className="text-sm text-gray-500">
+                {loadingLocation ? '위치 가져오는 중...' :
+                 locationSimulator ? '시뮬레이션 중' :
+                 locationStatus.status === 'fallback' ? '기본 위치 사용 중' :
+                 userLocation && typeof userLocation.accuracy === 'number'
+                   ? `켜짐 (±${Math.round(userLocation.accuracy)}m)`
+                   : '켜짐'}
+              </div>
+            </div>
+            <div className="flex justify-between items-center p-2">
+              <div className="flex items-center">
+                <Gift size={18} className="mr-2 text-gray-500" />
+                <p>친구 초대</p>
+              </div>
+              <button 
+                className="text-sm text-blue-500"
+                onClick={() => inviteFriend("example@example.com")}
+              >
+                초대하기
+              </button>
+            </div>
+          </div>
+          <div className="mt-4">
+            <button className="w-full py-2 text-red-500 font-medium">
+              로그아웃
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileScreen;
@@ -0,0 +1,397 @@
+import React, { useState } from 'react';
+import { Camera } from 'lucide-react';
+import { RecyclingGuideDetails } from './RecyclingCard';
+import { getMissionShortcut } from './missions';
+import { RECYCLING_GUIDES, getRecyclingGuide } from './recyclingKnowledge';
+
+// AR 퀘스트 화면 - 주변 몬스터, 미션, 배지, 도감
+const QuestScreen = ({
+  theme, level, levelInfo, monsters, missions, badges, dex, dexProgress, isMonsterNearby,
+  inviteFriend, setActiveTab, setCameraActive
+}) => {
+  const [activeQuestTab, setActiveQuestTab] = useState('monsters');
+  const [guideType, setGuideType] = useState('플라스틱'); // 도감 탭의 분리배출 가이드에서 고른 타입
+  
+  // 미션 조건에 따른 액션 (예: 카메라 켜기, 지도 보기 등)
+  const openMissionShortcut = (mission) => {
+    switch (getMissionShortcut(mission)) {
+      case 'camera':
+        setCameraActive(true);
+        break;
+      case 'map':
+        setActiveTab('map');
+        break;
+      case 'invite':
+        // 친구 초대 모달 표시
+        inviteFriend("example@example.com");
+        break;
+      case 'community':
+        setActiveTab('community');
+        break;
+      default:
+        break;
+    }
+  };
+  
+  return (
+    <div className={`flex flex-col h-full pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <div className="p-4 bg-purple-100">
+        <h2 className="text-xl font-bold text-purple-800">에코 퀘스트</h2>
+        <p className="text-sm text-purple-600">환경을 보호하며 포인트를 모으세요!</p>
+      </div>
+      
+      {/* 퀘스트 탭 */}
+      <div className="flex border-b mb-2 bg-white">
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeQuestTab === 'monsters' ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500'}`}
+          onClick={() => setActiveQuestTab('monsters')}
+        >
+          몬스터 포획
+        </button>
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeQuestTab === 'dex' ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500'}`}
+          onClick={() => setActiveQuestTab('dex')}
+        >
+          도감
+        </button>
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeQuestTab === 'missions' ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500'}`}
+          onClick={() => setActiveQuestTab('missions')}
+        >
+          미션
+        </button>
+        <button 
+          className={`py-3 px-4 font-medium flex-1 ${activeQuestTab === 'badges' ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500'}`}
+          onClick={() => setActiveQuestTab('badges')}
+        >
+          배지
+        </button>
+      </div>
+      
+      {/* 몬스터 포획 탭 */}
+      {activeQuestTab === 'monsters' && (
+        <div className="p-4">
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mb-4`}>
+            <h3 className="font-bold mb-2">몬스터 포획 현황</h3>
+            <div className="flex items-center mb-2">
+              <div className="w-full bg-gray-200 rounded-full h-3 mr-2">
+                <div className="bg-purple-500 h-3 rounded-full" style={{ 
+                  width: `${monsters.length > 0 ? (monsters.filter(m => m.captured).length / monsters.length) * 100 : 0}%` 
+                }}></div>
+              </div>
+              <span className="text-sm font-medium">{monsters.filter(m => m.captured).length}/{monsters.length}</span>
+            </div>
+            <div className="grid grid-cols-4 gap-2 mt-3">
+              <div className="text-center">
+                <div className="text-sm font-medium">플라스틱</div>
+                <div className="text-lg font-bold text-blue-500">{monsters.filter(m => m.type === '플라스틱' && m.captured).length}/{monsters.filter(m => m.type === '플라스틱').length}</div>
+              </div>
+              <div className="text-center">
+                <div className="text-sm font-medium">종이</div>
+                <div className="text-lg font-bold text-green-500">{monsters.filter(m => m.type === '종이' && m.captured).length}/{monsters.filter(m => m.type === '종이').length}</div>
+              </div>
+              <div className="text-center">
+                <div className="text-sm font-medium">금속</div>
+                <div className="text-lg font-bold text-yellow-500">{monsters.filter(m => m.type === '금속' && m.captured).length}/{monsters.filter(m => m.type === '금속').length}</div>
+              </div>
+              <div className="text-center">
+                <div className="text-sm font-medium">유리</div>
+                <div className="text-lg font-bold text-purple-500">{monsters.filter(m => m.type === '유리' && m.captured).length}/{monsters.filter(m => m.type === '유리').length}</div>
+              </div>
+            </div>
+          </div>
+          
+          <button 
+            onClick={() => setCameraActive(true)}
+            className="w-full bg-purple-500 hover:bg-purple-600 text-white font-medium py-3 rounded-lg shadow-md flex justify-center items-center mb-6 transition-colors"
+          >
+            <Camera className="mr-2" size={20} />
+            AR 카메라 켜기
+          </button>
+          
+          <h3 className="font-bold mb-3">주변 쓰레기 몬스터</h3>
+          <div className="space-y-3">
+            {monsters.map(monster => (
+              <div 
+                key={monster.id} 
+                className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow flex justify-between items-center ${monster.captured ? 'opacity-50' : ''}`}
+              >
+                <div className="flex items-center">
+                  <div className="text-3xl mr-3">{monster.image}</div>
+                  <div>
+                    <div className="flex items-center">
+                      <h4 className="font-bold">{monster.name}</h4>
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
+                        monster.rarity === 'rare' ? 'bg-purple-100 text-purple-800' :
+                        monster.rarity === 'uncommon' ? 'bg-blue-100 text-blue-800' :
+                        'bg-green-100 text-green-800'
+                      }`}>
+                        {monster.rarity === 'rare' ? '희귀' : 
+                         monster.rarity === 'uncommon' ? '중간' : '일반'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      타입: {monster.type} | 위치: {monster.location} | 포인트: {monster.points}
+                    </p>
+                  </div>
+                </div>
+                {monster.captured ? (
+                  <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-medium rounded">포획완료</span>
+                ) : (
+                  <button 
+                    onClick={() => {
+                      if (isMonsterNearby(monster.lat, monster.lng)) {
+                        setCameraActive(true);
+                      } else {
+                        alert('이 몬스터는 현재 위치에서 너무 멀리 있습니다. 더 가까이 가서 시도해보세요.');
+                      }
+                    }}
+                    className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white text-sm rounded transition-colors"
+                  >
+                    포획하기
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
+      {/* 미션 탭 */}
+      {activeQuestTab === 'missions' && (
+        <div className="p-4">
+          <div className="mb-4">
+            <h3 className="font-bold mb-3">일일 미션</h3>
+            <div className="space-y-3">
+              {missions.filter(m => m.type === 'daily').map(mission => (
+                <div 
+                  key={mission.id} 
+                  className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow ${mission.completed ? 'border-l-4 border-green-500' : ''}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <h4 className="font-bold">{mission.title}</h4>
+                    <span className={`px-2 py-1 text-xs font-medium rounded ${
+                      mission.completed 
+                        ? 'bg-green-100 text-green-800' 
+                        : 'bg-blue-100 text-blue-800'
+                    }`}>
+                      {mission.completed ? '완료' : '진행중'}
+                    </span>
+                  </div>
+                  <div className="flex items-center mt-2">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div 
+                        className={`h-2 rounded-full ${mission.completed ? 'bg-green-500' : 'bg-blue-500'}`} 
+                        style={{ width: `${(mission.progress / mission.total) * 100}%` }}
+                      ></div>
+                    </div>
+                    <span className="ml-2 text-sm">{mission.progress}/{mission.total}</span>
+                  </div>
+                  <div className="flex justify-between items-center mt-2 text-sm">
+                    <span className="text-gray-500">보상: {mission.reward} 포인트</span>
+                    {!mission.completed && (
+                      <button 
+                        className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white text-xs rounded transition-colors"
+                        onClick={() => openMissionShortcut(mission)}
+                      >
+                        바로가기
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          <div>
+            <h3 className="font-bold mb-3">주간 미션</h3>
+            <div className="space-y-3">
+              {missions.filter(m => m.type === 'weekly').map(mission => (
+                <div 
+                  key={mission.id} 
+                  className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow ${mission.completed ? 'border-l-4 border-green-500' : ''}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <h4 className="font-bold">{mission.title}</h4>
+                    <span className={`px-2 py-1 text-xs font-medium rounded ${
+                      mission.completed 
+                        ? 'bg-green-100 text-green-800' 
+                        : 'bg-purple-100 text-purple-800'
+                    }`}>
+                      {mission.completed ? '완료' : '주간'}
+                    </span>
+                  </div>
+                  <div className="flex items-center mt-2">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div 
+                        className={`h-2 rounded-full ${mission.completed ? 'bg-green-500' : 'bg-purple-500'}`} 
+                        style={{ width: `${(mission.progress / mission.total) * 100}%` }}
+                      ></div>
+                    </div>
+                    <span className="ml-2 text-sm">{mission.progress}/{mission.total}</span>
+                  </div>
+                  <div className="flex justify-between items-center mt-2 text-sm">
+                    <span className="text-gray-500">보상: {mission.reward} 포인트</span>
+                    {!mission.completed && (
+                      <button 
+                        className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white text-xs rounded transition-colors"
+                        onClick={() => openMissionShortcut(mission)}
+                      >
+                        바로가기
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* 배지 탭 */}
+      {/* 도감 탭 */}
+      {activeQuestTab === 'dex' && (
+        <div className="p-4">
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mb-4`}>
+            <h3 className="font-bold mb-2">몬스터 도감</h3>
+            <div className="flex items-center">
+              <div className="w-full bg-gray-200 rounded-full h-3 mr-2">
+                <div className="bg-purple-500 h-3 rounded-full" style={{ 
+                  width: `${(dexProgress.discovered / dexProgress.total) * 100}%` 
+                }}></div>
+              </div>
+              <span className="text-sm font-medium">{dexProgress.discovered}/{dexProgress.total}</span>
+            </div>
+            {level < 3 && (
+              <p className="text-xs text-gray-500 mt-2">레벨 3이 되면 아직 못 만난 몬스터의 힌트를 볼 수 있어요.</p>
+            )}
+          </div>
+          
+          <div className="space-y-3">
+            {dex.map(entry => (
+              <div 
+                key={entry.species.id}
+                className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow ${entry.discovered ? '' : 'opacity-60'}`}
+              >
+                <div className="flex items-center">
+                  <div className="text-3xl mr-3">{entry.discovered ? entry.species.image : '❔'}</div>
+                  <div className="flex-1">
+                    <div className="flex items-center">
+                      <h4 className="font-bold">{entry.discovered ? entry.species.name : '???'}</h4>
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
+                        entry.species.rarity === 'rare' ? 'bg-purple-100 text-purple-800' :
+                        entry.species.rarity === 'uncommon' ? 'bg-blue-100 text-blue-800' :
+                        'bg-green-100 text-green-800'
+                      }`}>
+                        {entry.species.rarity === 'rare' ? '희귀' : 
+                         entry.species.rarity === 'uncommon' ? '중간' : '일반'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {entry.discovered
+                        ? `타입: ${entry.species.type} | 포획 ${entry.count}회 | 첫 포획: ${
+                            entry.firstCapturedAt ? new Date(entry.firstCapturedAt).toLocaleDateString('ko-KR') : '기록 없음'
+                          }`
+                        : level >= 3 ? `힌트: ${entry.species.type} 몬스터` : '아직 만나지 못한 몬스터'}
+                    </p>
+                  </div>
+                </div>
+                {entry.discovered && (
+                  <div className="mt-2 text-xs">
+                    <p className="text-gray-600">{entry.species.description}</p>
+                    <p className="mt-1 text-green-700">♻️ {entry.species.recyclingTip}</p>
+                    <p className="mt-1 text-gray-500">
+                      포획 장소: {entry.locations.slice(0, 3).map(place => `${place.name}(${place.count})`).join(', ')}
+                    </p>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          
+          {/* 분리배출 가이드 - 앱에 포함된 자료라 오프라인에서도 볼 수 있음 */}
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mt-4`}>
+            <h3 className="font-bold mb-2">분리배출 가이드</h3>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {Object.keys(RECYCLING_GUIDES).map(type => (
+                <button
+                  key={type}
+                  className={`text-xs px-3 py-1 rounded-full ${guideType === type ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                  onClick={() => setGuideType(type)}
+                >
+                  {RECYCLING_GUIDES[type].title}
+                </button>
+              ))}
+            </div>
+            <RecyclingGuideDetails guide={getRecyclingGuide({ type: guideType })} />
+          </div>
+        </div>
+      )}
+      
+      {activeQuestTab === 'badges' && (
+        <div className="p-4">
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow mb-4`}>
+            <h3 className="font-bold mb-3">배지 컬렉션</h3>
+            <p className="text-sm text-gray-500 mb-3">특별한 도전과제를 완료하여 배지를 수집하세요!</p>
+            <div className="grid grid-cols-2 gap-3">
+              {badges.map(badge => (
+                <div 
+                  key={badge.id} 
+                  className={`p-3 rounded-lg border ${badge.unlocked 
+                    ? 'border-yellow-500 bg-yellow-50' 
+                    : 'border-gray-300 bg-gray-50'}`}
+                >
+                  <div className="flex items-center">
+                    <div className="text-3xl mr-2">{badge.image}</div>
+                    <div>
+                      <h4 className="font-bold text-sm">{badge.name}</h4>
+                      <p className="text-xs text-gray-500">{badge.description}</p>
+                    </div>
+                  </div>
+                  <div className="mt-2">
+                    <div className="flex justify-between text-xs mb-1">
+                      <span>진행도</span>
+                      <span>{badge.progress}/{badge.total}</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-1.5">
+                      <div 
+                        className={`h-1.5 rounded-full ${badge.unlocked ? 'bg-yellow-500' : 'bg-blue-500'}`} 
+                        style={{ width: `${Math.min((badge.progress / badge.total) * 100, 100)}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-4 rounded-lg shadow`}>
+            <h3 className="font-bold mb-2">내 레벨</h3>
+            <div className="flex items-center">
+              <div className="text-4xl font-bold mr-3">{level}</div>
+              <div className="flex-1">
+                <p className="text-sm font-medium mb-1">{levelInfo.title}</p>
+                <div className="flex justify-between text-xs mb-1">
+                  <span>다음 레벨까지</span>
+                  <span>{levelInfo.pointsIntoLevel}/{levelInfo.pointsForLevel}</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div 
+                    className="bg-blue-500 h-2 rounded-full" 
+                    style={{ width: `${levelInfo.progress * 100}%` }}
+                  ></div>
+                </div>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              레벨 {level + 1}에 도달하면 에코 히어로 배지 진행도와 {levelInfo.nextReward.points} 포인트를 받습니다.
+              {levelInfo.nextReward.unlock && ` (${levelInfo.nextReward.unlock} 해금)`}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestScreen;
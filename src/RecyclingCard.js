@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { getRecyclingGuide, pickQuizQuestion } from './recyclingKnowledge';
+import { QUIZ_BONUS } from './gameEngine';
+
+// 분리배출 안내 내용 (포획 후 카드와 도감의 가이드에서 함께 사용)
+export const RecyclingGuideDetails = ({ guide }) => (
+  <div className="text-sm">
+    <p>{guide.separation}</p>
+    <ol className="list-decimal list-inside mt-2 space-y-0.5">
+      {guide.steps.map(step => <li key={step}>{step}</li>)}
+    </ol>
+    {guide.speciesNote && <p className="mt-2 text-green-700">💡 {guide.speciesNote}</p>}
+    <p className="mt-2 text-xs text-gray-500">
+      수거일: {guide.collection} | 배출 시간: {guide.hours}
+    </p>
+    <p className="mt-1 text-xs text-red-600">재활용 안 돼요: {guide.notAccepted.join(', ')}</p>
+  </div>
+);
+
+// 포획 후 분리배출 교육 카드
+// 카메라 화면이 닫힌 뒤에도 퀴즈 진행 상태가 유지되도록 별도 컴포넌트로 둡니다.
+// 퀴즈는 선택 사항이며, 답을 고르면 onAnswer(question, correct)를 한 번만 호출합니다.
+const RecyclingCard = ({ monster, seed, theme, onAnswer, onClose }) => {
+  const guide = getRecyclingGuide(monster);
+  const [question] = useState(() => pickQuizQuestion(monster.type, seed));
+  const [quizOpen, setQuizOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  if (!guide) return null;
+
+  const answerQuiz = (index) => {
+    if (selected !== null) return;
+    setSelected(index);
+    onAnswer(question, index === question.answer);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-end justify-center">
+      <div className={`${theme === 'dark' ? 'bg-gray-800 text-white' : 'bg-white'} w-full max-w-md rounded-t-xl p-4 max-h-[80vh] overflow-y-auto`}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="font-bold">{monster.image} {guide.title} 분리배출 방법</h3>
+          <button onClick={onClose} className="p-1">
+            <X size={18} />
+          </button>
+        </div>
+
+        <RecyclingGuideDetails guide={guide} />
+
+        {question && !quizOpen && (
+          <button
+            className="w-full mt-4 py-2 bg-purple-600 text-white rounded-lg font-medium"
+            onClick={() => setQuizOpen(true)}
+          >
+            퀴즈 풀고 보너스 {QUIZ_BONUS} 포인트 받기
+          </button>
+        )}
+
+        {question && quizOpen && (
+          <div className="mt-4 border-t pt-3">
+            <p className="font-medium text-sm mb-2">Q. {question.question}</p>
+            <div className="space-y-2">
+              {question.options.map((option, index) => {
+                const answered = selected !== null;
+                const style = !answered ? 'border-gray-300'
+                  : index === question.answer ? 'border-green-500 bg-green-50 text-green-800'
+                  : index === selected ? 'border-red-500 bg-red-50 text-red-800'
+                  : 'border-gray-300 opacity-60';
+                return (
+                  <button
+                    key={option}
+                    className={`w-full text-left text-sm p-2 border rounded-lg ${style}`}
+                    onClick={() => answerQuiz(index)}
+                    disabled={answered}
+                  >
+                    {option}
+                  </button>
+                );
+              })}
+            </div>
+            {selected !== null && (
+              <p className="text-xs text-gray-500 mt-2">{question.explanation}</p>
+            )}
+          </div>
+        )}
+
+        <button
+          className={`w-full mt-4 py-2 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-100'}`}
+          onClick={onClose}
+        >
+          닫기
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecyclingCard;
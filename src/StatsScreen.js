@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+
+// 통계 화면
+const StatsScreen = ({ theme, userPoints, capturedMonsters, stats }) => {
+  const [statsTimeFrame, setStatsTimeFrame] = useState('weekly'); // 'weekly', 'monthly', 'yearly'
+  
+  return (
+    <div className={`flex flex-col h-full p-4 pb-16 ${theme === 'dark' ? 'bg-gray-900 text-white' : 'bg-gray-100'}`}>
+      <h2 className="text-xl font-bold mb-2">환경 통계</h2>
+      
+      {/* 시간 프레임 선택 */}
+      <div className="flex mb-4 bg-white rounded-lg shadow overflow-hidden">
+        <button 
+          className={`flex-1 py-2 ${statsTimeFrame === 'weekly' ? 'bg-green-500 text-white' : 'text-gray-500'}`}
+          onClick={() => setStatsTimeFrame('weekly')}
+        >
+          주간
+        </button>
+        <button 
+          className={`flex-1 py-2 ${statsTimeFrame === 'monthly' ? 'bg-green-500 text-white' : 'text-gray-500'}`}
+          onClick={() => setStatsTimeFrame('monthly')}
+        >
+          월간
+        </button>
+        <button 
+          className={`flex-1 py-2 ${statsTimeFrame === 'yearly' ? 'bg-green-500 text-white' : 'text-gray-500'}`}
+          onClick={() => setStatsTimeFrame('yearly')}
+        >
+          연간
+        </button>
+      </div>
+      
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow text-center`}>
+          <p className="text-xs text-gray-500">포인트 획득</p>
+          <p className="text-2xl font-bold text-purple-600">{userPoints}</p>
+        </div>
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow text-center`}>
+          <p className="text-xs text-gray-500">포획한 몬스터</p>
+          <p className="text-2xl font-bold text-green-600">{capturedMonsters.length}</p>
+        </div>
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow text-center`}>
+          <p className="text-xs text-gray-500">참여한 이벤트</p>
+          <p className="text-2xl font-bold text-blue-600">3</p>
+        </div>
+        <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} p-3 rounded-lg shadow text-center`}>
+          <p className="text-xs text-gray-500">신고한 무단투기</p>
+          <p className="text-2xl font-bold text-red-600">7</p>
+        </div>
+      </div>
+      
+      <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+        <h3 className="font-bold mb-3">활동 통계</h3>
+        <div className="h-48 relative">
+          {/* 차트 구현 - 실제로는 Recharts 등의 라이브러리 사용 */}
+          <div className="absolute inset-0 flex items-end justify-between p-2">
+            {stats.weeklyActivity.map((day, i) => (
+              <div key={day.day} className="flex flex-col items-center">
+                <div 
+                  className="w-8 bg-blue-500 rounded-t transition-all duration-500 ease-in-out" 
+                  style={{ height: `${(day.points / Math.max(...stats.weeklyActivity.map(d => d.points))) * 100}%` }}
+                ></div>
+                <p className="text-xs mt-1">{day.day}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+      
+      <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4 mb-4`}>
+        <h3 className="font-bold mb-3">포획한 몬스터 유형</h3>
+        <div className="flex justify-around">
+          <div className="text-center">
+            <div className="text-xl mb-1">🧪</div>
+            <p className="font-bold">{stats.monsterCaptureStats.plastic}</p>
+            <p className="text-xs text-gray-500">플라스틱</p>
+          </div>
+          <div className="text-center">
+            <div className="text-xl mb-1">📄</div>
+            <p className="font-bold">{stats.monsterCaptureStats.paper}</p>
+            <p className="text-xs text-gray-500">종이</p>
+          </div>
+          <div className="text-center">
+            <div className="text-xl mb-1">🥫</div>
+            <p className="font-bold">{stats.monsterCaptureStats.metal}</p>
+            <p className="text-xs text-gray-500">금속</p>
+          </div>
+          <div className="text-center">
+            <div className="text-xl mb-1">🧙‍♂️</div>
+            <p className="font-bold">{stats.monsterCaptureStats.glass}</p>
+            <p className="text-xs text-gray-500">유리</p>
+          </div>
+        </div>
+      </div>
+      
+      <div className={`${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow p-4`}>
+        <h3 className="font-bold mb-3">정릉3동 환경 개선도</h3>
+        <div className="space-y-3">
+          <div>
+            <div className="flex justify-between mb-1">
+              <p className="text-sm">무단투기 감소</p>
+              <p className="text-sm font-medium">{stats.environmentalImpact.trashReduction}%</p>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div 
+                className="bg-green-500 h-2 rounded-full transition-all duration-1000 ease-in-out" 
+                style={{ width: `${stats.environmentalImpact.trashReduction}%` }}
+              ></div>
+            </div>
+          </div>
+          <div>
+            <div className="flex justify-between mb-1">
+              <p className="text-sm">재활용률 증가</p>
+              <p className="text-sm font-medium">{stats.environmentalImpact.recyclingRate}%</p>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div 
+                className="bg-blue-500 h-2 rounded-full transition-all duration-1000 ease-in-out" 
+                style={{ width: `${stats.environmentalImpact.recyclingRate}%` }}
+              ></div>
+            </div>
+          </div>
+          <div>
+            <div className="flex justify-between mb-1">
+              <p className="text-sm">주민 참여율</p>
+              <p className="text-sm font-medium">{stats.environmentalImpact.participationRate}%</p>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div 
+                className="bg-purple-500 h-2 rounded-full transition-all duration-1000 ease-in-out" 
+                style={{ width: `${stats.environmentalImpact.participationRate}%` }}
+              ></div>
+            </div>
+          </div>
+        </div>
+        
+        <div className="mt-4">
+          <h4 className="font-bold mb-2">환경 영향 분석</h4>
+          <div className="space-y-2 text-sm">
+            <p>• 무단투기 감소로 인한 <span className="font-medium text-green-600">CO₂ 절감량: 약 {stats.environmentalImpact.co2Reduction}kg</span></p>
+            <p>• 재활용 증가로 인한 <span className="font-medium text-green-600">자원 절약: 약 {stats.environmentalImpact.resourcesSaved}kg</span></p>
+            <p>• 예상 환경 개선 효과: <span className="font-medium text-green-600">연간 1.2톤 CO₂ 감소</span></p>
+            <p className="text-xs text-gray-500 mt-2">* 통계 데이터는 사용자 활동과 지역 환경 모니터링을 기반으로 산출됩니다</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsScreen;
@@ -0,0 +1,22 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_LOCALE, RELATIVE_TIME_REFRESH_MS, formatRelativeTime } from './relativeTime';
+
+// 상대 시각 ("10분 전") 표시
+// 앱 전체를 다시 그리지 않고 이 부분만 주기적으로 다시 계산합니다.
+const TimeAgo = ({ time, locale = DEFAULT_LOCALE }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), RELATIVE_TIME_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!time) return null;
+  return (
+    <time dateTime={time} title={new Date(time).toLocaleString(locale === 'en' ? 'en-US' : 'ko-KR')}>
+      {formatRelativeTime(time, now, locale)}
+    </time>
+  );
+};
+
+export default TimeAgo;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+
+// 튜토리얼 화면
+const TutorialScreen = ({ onComplete }) => {
+  const [step, setStep] = useState(1);
+  const totalSteps = 4;
+  
+  const nextStep = () => {
+    if (step < totalSteps) {
+      setStep(step + 1);
+    } else {
+      onComplete();
+    }
+  };
+  
+  const skipTutorial = () => {
+    onComplete();
+  };
+  
+  return (
+    <div className="flex flex-col h-full bg-white">
+      <div className="flex-1 p-4 flex flex-col items-center justify-center">
+        {step === 1 && (
+          <>
+            <div className="text-6xl mb-6">🌍</div>
+            <h2 className="text-xl font-bold mb-3">환영합니다!</h2>
+            <p className="text-center mb-8">
+              EcoQuest에 오신 것을 환영합니다! 환경을 지키며 포인트도 모으고 친구들과 함께 환경 보호에 동참해보세요.
+            </p>
+            <div className="w-full max-w-xs">
+              <img src="/api/placeholder/300/200" alt="튜토리얼 이미지" className="rounded-lg shadow-lg mb-4" />
+            </div>
+          </>
+        )}
+        
+        {step === 2 && (
+          <>
+            <div className="text-6xl mb-6">🗑️</div>
+            <h2 className="text-xl font-bold mb-3">쓰레기 몬스터 포획하기</h2>
+            <p className="text-center mb-8">
+              주변의 쓰레기 몬스터를 AR 카메라로 포획해 포인트를 얻고 환경을 깨끗하게 만드세요.
+            </p>
+            <div className="w-full max-w-xs">
+              <img src="/api/placeholder/300/200" alt="AR 사용 방법" className="rounded-lg shadow-lg mb-4" />
+            </div>
+          </>
+        )}
+        
+        {step === 3 && (
+          <>
+            <div className="text-6xl mb-6">🛑</div>
+            <h2 className="text-xl font-bold mb-3">무단투기 신고하기</h2>
+            <p className="text-center mb-8">
+              무단투기 발견 시 지도에서 위치를 표시하고 신고하여 깨끗한 동네를 만드는데 기여하세요.
+            </p>
+            <div className="w-full max-w-xs">
+              <img src="/api/placeholder/300/200" alt="무단투기 신고 방법" className="rounded-lg shadow-lg mb-4" />
+            </div>
+          </>
+        )}
+        
+        {step === 4 && (
+          <>
+            <div className="text-6xl mb-6">🏆</div>
+            <h2 className="text-xl font-bold mb-3">미션과 배지</h2>
+            <p className="text-center mb-8">
+              다양한 미션을 완료하고 배지를 모아 친구들과 경쟁해보세요
+            </p>
+            <div className="w-full max-w-xs">
+              <img src="/api/placeholder/300/200" alt="미션과 배지" className="rounded-lg shadow-lg mb-4" />
+            </div>
+          </>
+        )}
+      </div>
+      
+      <div className="p-4 w-full">
+        <div className="flex justify-between items-center mb-4">
+          <button 
+            className="text-sm text-gray-500"
+            onClick={skipTutorial}
+          >
+            건너뛰기
+          </button>
+          <div className="flex space-x-1">
+            {Array.from({ length: totalSteps }).map((_, i) => (
+              <div 
+                key={i}
+                className={`w-2 h-2 rounded-full ${i < step ? 'bg-green-500' : 'bg-gray-300'}`}
+              ></div>
+            ))}
+          </div>
+          <div className="w-16"></div> {/* 오른쪽 여백 */}
+        </div>
+        <button 
+          className="w-full py-3 bg-green-500 hover:bg-green-600 text-white font-medium rounded-lg transition-colors"
+          onClick={nextStep}
+        >
+          {step < totalSteps ? '다음' : '시작하기'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TutorialScreen;
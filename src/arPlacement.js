@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import { calculateDistance, calculateBearing } from './geo';
+
+// AR 몬스터 배치
+// 휴대폰이 바라보는 방향(나침반 방위)과 사용자 → 몬스터 방위각을 비교해서
+// 카메라 시야 안에 있을 때만 몬스터를 화면에 표시하고, 가까울수록 크게 그립니다.
+// 방향 센서가 없는 데스크톱에서는 슬라이더로 방향을 바꾸는 시뮬레이션 모드를 사용합니다.
+
+export const AR_CONFIG = {
+  fieldOfView: 60, // 카메라 가로 시야각 (도)
+  nearDistanceKm: 0.005, // 이 거리 안이면 가장 크게
+  farDistanceKm: 0.05, // 포획 가능 거리 - 이 거리에서 가장 작게
+  minScale: 0.4,
+  maxScale: 1.5
+};
+
+// -180 ~ 180도로 정규화
+const normalizeAngle = (angle) => ((angle % 360) + 540) % 360 - 180;
+
+// DeviceOrientationEvent에서 나침반 방위 읽기 (알 수 없으면 null)
+// iOS는 webkitCompassHeading, 그 외는 절대 방위(absolute) 이벤트의 alpha를 사용합니다.
+export const getCompassHeading = (event) => {
+  if (typeof event.webkitCompassHeading === 'number') return event.webkitCompassHeading;
+  if (event.absolute && typeof event.alpha === 'number') return (360 - event.alpha) % 360;
+  return null;
+};
+
+// 화면 배치 계산
+//   visible - 시야 안에 있는지
+//   x       - 화면 가로 위치 (0 왼쪽 ~ 1 오른쪽)
+//   scale   - 거리에 따른 크기 배율
+//   turn    - 시야 밖일 때 돌려야 할 방향 ('left' | 'right' | null)
+export const getScreenPlacement = ({ heading, bearing, distanceKm, config = AR_CONFIG }) => {
+  const relative = normalizeAngle(bearing - heading);
+  const halfView = config.fieldOfView / 2;
+  const closeness = (config.farDistanceKm - distanceKm) / (config.farDistanceKm - config.nearDistanceKm);
+  const scale = config.minScale + (config.maxScale - config.minScale) * Math.min(Math.max(closeness, 0), 1);
+
+  return {
+    visible: Math.abs(relative) <= halfView,
+    x: 0.5 + relative / config.fieldOfView,
+    scale,
+    turn: Math.abs(relative) <= halfView ? null : (relative < 0 ? 'left' : 'right')
+  };
+};
+
+// 사용자 위치와 바라보는 방향에서 본 몬스터 배치
+export const getMonsterPlacement = (userLocation, monster, heading, config = AR_CONFIG) => {
+  if (!userLocation || !monster || heading === null) return null;
+  return getScreenPlacement({
+    heading,
+    bearing: calculateBearing(userLocation.lat, userLocation.lng, monster.lat, monster.lng),
+    distanceKm: calculateDistance(userLocation.lat, userLocation.lng, monster.lat, monster.lng),
+    config
+  });
+};
+
+// 기기 방향 훅 - { heading, simulated, needsPermission, requestPermission, setSimulatedHeading }
+// 방향 센서 이벤트가 오지 않으면 시뮬레이션 모드로 동작합니다.
+export const useDeviceHeading = () => {
+  const [sensorHeading, setSensorHeading] = useState(null);
+  const [simulatedHeading, setSimulatedHeading] = useState(0);
+  // iOS 13 이상은 사용자 동작 안에서 권한을 요청해야 이벤트가 옴
+  const [needsPermission, setNeedsPermission] = useState(() => (
+    typeof DeviceOrientationEvent !== 'undefined' &&
+    typeof DeviceOrientationEvent.requestPermission === 'function'
+  ));
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || needsPermission) return undefined;
+
+    const handleOrientation = (event) => {
+      const heading = getCompassHeading(event);
+      // 1도 미만의 흔들림은 무시해서 불필요한 렌더링 방지
+      if (heading !== null) {
+        setSensorHeading(prev => (prev !== null && Math.abs(normalizeAngle(heading - prev)) < 1 ? prev : heading));
+      }
+    };
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    window.addEventListener(eventName, handleOrientation);
+    return () => window.removeEventListener(eventName, handleOrientation);
+  }, [needsPermission]);
+
+  const requestPermission = useCallback(async () => {
+    try {
+      const result = await DeviceOrientationEvent.requestPermission();
+      if (result === 'granted') setNeedsPermission(false);
+    } catch (error) {
+      console.error('방향 센서 권한 요청 실패:', error);
+    }
+  }, []);
+
+  const simulated = sensorHeading === null;
+  return {
+    heading: simulated ? simulatedHeading : sensorHeading,
+    simulated,
+    needsPermission,
+    requestPermission,
+    setSimulatedHeading
+  };
+};
@@ -0,0 +1,92 @@
+// 몬스터 포획 미니게임 규칙
+// 카메라 화면에서 줄어드는 링이 목표 원과 겹칠 때 포획 버튼을 누르면 성공 확률이 올라갑니다.
+// 성공 확률은 몬스터 희귀도와 플레이어 레벨, 타이밍 정확도로 정해지고,
+// 시도 횟수는 제한되며 실패할 때마다 몬스터가 도망칠 수 있습니다.
+// random과 경과 시간을 인자로 받으므로 화면 없이도 결과를 재현할 수 있습니다.
+
+export const CAPTURE_RULES = {
+  common: { baseChance: 0.7, fleeChance: 0.1, attempts: 3, ringPeriodMs: 1600 },
+  uncommon: { baseChance: 0.5, fleeChance: 0.2, attempts: 3, ringPeriodMs: 1300 },
+  rare: { baseChance: 0.3, fleeChance: 0.3, attempts: 2, ringPeriodMs: 1000 }
+};
+
+const LEVEL_BONUS = 0.02; // 레벨당 추가 성공 확률
+const MAX_LEVEL_BONUS = 0.2;
+const MAX_CHANCE = 0.95;
+
+// 링 크기(1 → 0으로 줄어듦)가 이 값일 때가 가장 정확한 타이밍
+export const RING_TARGET_SIZE = 0.35;
+const RING_TOLERANCE = 0.25; // 목표에서 이만큼 벗어나면 정확도 0
+
+// 타이밍 정확도에 따른 성공 확률 배율
+const TIMING_GRADES = [
+  { minAccuracy: 0.8, label: '완벽해요!', multiplier: 1.4 },
+  { minAccuracy: 0.4, label: '좋아요!', multiplier: 1 },
+  { minAccuracy: 0, label: '빗나갔어요', multiplier: 0.4 }
+];
+
+export const getCaptureRule = (monster) => CAPTURE_RULES[monster.rarity] || CAPTURE_RULES.common;
+
+// 링이 나타난 뒤 경과 시간(ms)에 따른 링 크기 (주기마다 1에서 0으로 반복)
+export const getRingSize = (elapsedMs, monster) => {
+  const { ringPeriodMs } = getCaptureRule(monster);
+  return 1 - (elapsedMs % ringPeriodMs) / ringPeriodMs;
+};
+
+// 링 크기로 타이밍 정확도(0~1) 계산
+export const getTimingAccuracy = (ringSize) => (
+  Math.max(0, 1 - Math.abs(ringSize - RING_TARGET_SIZE) / RING_TOLERANCE)
+);
+
+export const getTimingGrade = (accuracy) => (
+  TIMING_GRADES.find(grade => accuracy >= grade.minAccuracy)
+);
+
+// 한 번 시도의 성공 확률
+export const getCaptureChance = (monster, level, accuracy) => {
+  const { baseChance } = getCaptureRule(monster);
+  const levelBonus = Math.min(Math.max(level - 1, 0) * LEVEL_BONUS, MAX_LEVEL_BONUS);
+  return Math.min((baseChance + levelBonus) * getTimingGrade(accuracy).multiplier, MAX_CHANCE);
+};
+
+// 포획 시도 결과
+//   captured - 포획 성공
+//   missed   - 실패했지만 다시 시도할 수 있음
+//   fled     - 실패 후 몬스터가 도망감
+//   escaped  - 시도 횟수를 모두 써서 놓침
+// attempt는 이번 시도가 몇 번째인지 (1부터)
+export const resolveCaptureAttempt = ({ monster, level, accuracy, attempt, random = Math.random }) => {
+  const rule = getCaptureRule(monster);
+  const chance = getCaptureChance(monster, level, accuracy);
+  const attemptsLeft = rule.attempts - attempt;
+
+  if (random() < chance) return { outcome: 'captured', chance, attemptsLeft };
+  if (attemptsLeft <= 0) return { outcome: 'escaped', chance, attemptsLeft: 0 };
+  if (random() < rule.fleeChance) return { outcome: 'fled', chance, attemptsLeft };
+  return { outcome: 'missed', chance, attemptsLeft };
+};
+
+// 출현별 포획 시도 기록 { [spawnId]: { used, fled, expiresAt } }
+// 카메라를 닫았다 다시 열거나 앱을 새로 시작해도 같은 출현의 시도 횟수가 다시 채워지지 않도록
+// 화면 밖(앱 상태)에 보관합니다. fled인 출현은 사라질 때까지 다시 나타나지 않습니다.
+export const getAttemptsUsed = (attempts, monster) => (
+  attempts[monster.id] ? attempts[monster.id].used : 0
+);
+
+export const hasAttemptsLeft = (attempts, monster) => (
+  getAttemptsUsed(attempts, monster) < getCaptureRule(monster).attempts
+);
+
+export const isSpawnFled = (attempts, spawnId) => Boolean(attempts[spawnId] && attempts[spawnId].fled);
+
+// 시도 한 번을 더한 기록 (사라진 출현의 기록은 이때 정리)
+export const recordCaptureAttempt = (attempts, monster, { fled = false, now = Date.now() } = {}) => {
+  const active = Object.fromEntries(Object.entries(attempts).filter(([, record]) => (
+    !record.expiresAt || Date.parse(record.expiresAt) > now
+  )));
+  const previous = active[monster.id] || { used: 0, fled: false };
+  return {
+    ...active,
+    [monster.id]: { used: previous.used + 1, fled: previous.fled || fled, expiresAt: monster.expiresAt || null }
+  };
+};
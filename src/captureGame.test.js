@@ -0,0 +1,84 @@
+import {
+  CAPTURE_RULES, getAttemptsUsed, getCaptureChance, hasAttemptsLeft, isSpawnFled, recordCaptureAttempt,
+  resolveCaptureAttempt
+} from './captureGame';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+
+const rare = { id: 'cell:1:0', rarity: 'rare', expiresAt: '2026-03-02T09:30:00.000Z' };
+const common = { id: 'cell:2:0', rarity: 'common', expiresAt: '2026-03-02T09:30:00.000Z' };
+
+// 배율 1인 타이밍('좋아요!')
+const GOOD_TIMING = 0.5;
+
+describe('getCaptureChance', () => {
+  it('희귀할수록 성공 확률이 낮다', () => {
+    expect(getCaptureChance(common, 1, GOOD_TIMING)).toBeCloseTo(CAPTURE_RULES.common.baseChance);
+    expect(getCaptureChance({ ...rare, rarity: 'uncommon' }, 1, GOOD_TIMING)).toBeCloseTo(CAPTURE_RULES.uncommon.baseChance);
+    expect(getCaptureChance(rare, 1, GOOD_TIMING)).toBeCloseTo(CAPTURE_RULES.rare.baseChance);
+  });
+
+  it('레벨당 2%씩 오르고 20%에서 멈춘다', () => {
+    expect(getCaptureChance(rare, 6, GOOD_TIMING)).toBeCloseTo(0.4);
+    expect(getCaptureChance(rare, 11, GOOD_TIMING)).toBeCloseTo(0.5);
+    expect(getCaptureChance(rare, 30, GOOD_TIMING)).toBeCloseTo(0.5);
+  });
+
+  it('타이밍 배율을 곱해도 95%를 넘지 않는다', () => {
+    expect(getCaptureChance(rare, 1, 1)).toBeCloseTo(0.42);
+    expect(getCaptureChance(rare, 1, 0)).toBeCloseTo(0.12);
+    expect(getCaptureChance(common, 11, 1)).toBe(0.95);
+  });
+});
+
+describe('resolveCaptureAttempt', () => {
+  const attemptWith = (monster, level, roll) => resolveCaptureAttempt({
+    monster, level, accuracy: GOOD_TIMING, attempt: 1, random: () => roll
+  });
+
+  it('같은 운이어도 흔한 몬스터는 잡히고 희귀한 몬스터는 빠져나간다', () => {
+    expect(attemptWith(common, 1, 0.5).outcome).toBe('captured');
+    expect(attemptWith(rare, 1, 0.5).outcome).toBe('missed');
+  });
+
+  it('같은 운이어도 레벨이 높으면 희귀한 몬스터를 잡는다', () => {
+    expect(attemptWith(rare, 1, 0.45).outcome).toBe('missed');
+    expect(attemptWith(rare, 11, 0.45).outcome).toBe('captured');
+  });
+
+  it('마지막 기회에 실패하면 escaped', () => {
+    const result = resolveCaptureAttempt({
+      monster: rare, level: 1, accuracy: 1, attempt: CAPTURE_RULES.rare.attempts, random: () => 0.99
+    });
+    expect(result).toEqual(expect.objectContaining({ outcome: 'escaped', attemptsLeft: 0 }));
+  });
+});
+
+describe('포획 시도 기록', () => {
+  it('출현별로 사용한 시도를 센다', () => {
+    let attempts = {};
+    expect(getAttemptsUsed(attempts, rare)).toBe(0);
+
+    attempts = recordCaptureAttempt(attempts, rare, { now: NOW });
+    expect(getAttemptsUsed(attempts, rare)).toBe(1);
+    expect(hasAttemptsLeft(attempts, rare)).toBe(true);
+
+    attempts = recordCaptureAttempt(attempts, rare, { now: NOW });
+    expect(getAttemptsUsed(attempts, rare)).toBe(CAPTURE_RULES.rare.attempts);
+    expect(hasAttemptsLeft(attempts, rare)).toBe(false);
+    expect(getAttemptsUsed(attempts, { ...rare, id: 'cell:1:1' })).toBe(0);
+  });
+
+  it('도망친 출현은 다음 시도를 기록해도 도망친 상태로 남는다', () => {
+    let attempts = recordCaptureAttempt({}, rare, { fled: true, now: NOW });
+    attempts = recordCaptureAttempt(attempts, rare, { now: NOW });
+    expect(isSpawnFled(attempts, rare.id)).toBe(true);
+    expect(isSpawnFled(attempts, 'cell:1:1')).toBe(false);
+  });
+
+  it('사라진 출현의 기록은 새 시도를 기록할 때 지운다', () => {
+    const expired = { id: 'cell:0:0', rarity: 'common', expiresAt: '2026-03-02T08:00:00.000Z' };
+    const attempts = recordCaptureAttempt(recordCaptureAttempt({}, expired, { now: NOW - 60000 * 90 }), rare, { now: NOW });
+    expect(Object.keys(attempts)).toEqual([rare.id]);
+  });
+});
@@ -0,0 +1,106 @@
+import { calculateDistance } from './geo';
+
+// 포획 위치 검증
+// 목록에서 "근처"로 보였더라도 실제 포획 순간의 위치로 다시 확인합니다.
+// 정확도가 나쁘거나 알 수 없는 위치, 실제 위치 대신 쓰는 기본 위치,
+// 짧은 시간에 비현실적으로 멀리 이동한 위치(위치 조작 의심)로는 포획할 수 없고,
+// 통과한 포획에도 위험 점수(0~1)를 남겨 나중에 검토할 수 있게 합니다.
+// 위치 기록(fix)은 { lat, lng, accuracy(m), timestamp(ms), fallback, simulated } 형태입니다.
+// 위치 시뮬레이터의 위치는 개발 빌드에서만 주의 사항으로 통과하고, 배포 빌드에서는 거부합니다.
+
+export const VALIDATION_RULES = {
+  maxCaptureDistanceKm: 0.05, // 포획 가능 거리
+  maxAccuracyM: 100, // 이보다 부정확한 위치로는 포획 불가
+  maxSpeedKmh: 120, // 연속된 위치 사이 이동 속도 한도
+  speedWindowMs: 5 * 60 * 1000, // 최근 이 시간 동안의 이동을 검사
+  minIntervalMs: 1000, // 이보다 짧은 간격의 위치는 속도 계산에서 제외
+  staleFixMs: 2 * 60 * 1000, // 이보다 오래된 위치는 위험 요소
+  allowSimulated: process.env.NODE_ENV !== 'production' // 시뮬레이터 위치로 포획 허용
+};
+
+// 거부/주의 사유별 안내 문구
+export const VALIDATION_MESSAGES = {
+  'no-location': '현재 위치를 확인할 수 없습니다',
+  'too-far': '몬스터가 너무 멀리 있습니다. 더 가까이 가서 시도해보세요',
+  'poor-accuracy': '위치 정확도가 낮습니다. 하늘이 보이는 곳에서 다시 시도해보세요',
+  'no-accuracy': '위치 정확도를 알 수 없습니다. 위치 서비스를 켜고 다시 시도해보세요',
+  'implausible-speed': '위치가 비정상적으로 빠르게 바뀌었습니다. 잠시 후 다시 시도해보세요',
+  'stale-location': '위치 정보가 오래되었습니다',
+  'fallback-location': '실제 위치를 확인할 수 없어 기본 위치로는 포획할 수 없습니다',
+  'simulated-location': '위치 시뮬레이터의 위치입니다',
+  'fallback-mode': '카메라 없이 포획했습니다'
+};
+
+// 두 위치 사이 이동 속도 (km/h)
+// GPS 오차만큼은 제자리 흔들림으로 보고 이동 거리에서 뺍니다.
+export const getSpeedKmh = (from, to) => {
+  const hours = (to.timestamp - from.timestamp) / 3600000;
+  if (hours <= 0) return 0;
+  const distanceKm = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  const errorKm = ((from.accuracy || 0) + (to.accuracy || 0)) / 1000;
+  return Math.max(distanceKm - errorKm, 0) / hours;
+};
+
+// 최근 위치 기록에서 연속된 두 위치 사이 최고 속도 (km/h)
+export const getMaxRecentSpeed = (fixes, now, rules = VALIDATION_RULES) => {
+  const recent = fixes.filter(fix => now - fix.timestamp <= rules.speedWindowMs && !fix.fallback);
+  let maxSpeed = 0;
+  for (let i = 1; i < recent.length; i++) {
+    if (recent[i].timestamp - recent[i - 1].timestamp >= rules.minIntervalMs) {
+      maxSpeed = Math.max(maxSpeed, getSpeedKmh(recent[i - 1], recent[i]));
+    }
+  }
+  return maxSpeed;
+};
+
+// 포획 검증
+// fixes는 시간순 위치 기록 (마지막이 현재 위치)
+// 반환값 - { ok, rejections, warnings, riskScore, distanceKm, speedKmh }
+export const validateCapture = ({ monster, fixes, now = Date.now(), captureMode = 'camera', rules = VALIDATION_RULES }) => {
+  const fix = fixes[fixes.length - 1];
+  if (!fix) {
+    return { ok: false, rejections: ['no-location'], warnings: [], riskScore: 1, distanceKm: null, speedKmh: null };
+  }
+
+  const distanceKm = calculateDistance(fix.lat, fix.lng, monster.lat, monster.lng);
+  const speedKmh = getMaxRecentSpeed(fixes, now, rules);
+  const accuracy = typeof fix.accuracy === 'number' ? fix.accuracy : rules.maxAccuracyM;
+
+  const rejections = [];
+  if (fix.fallback) rejections.push('fallback-location');
+  if (distanceKm > rules.maxCaptureDistanceKm) rejections.push('too-far');
+  if (typeof fix.accuracy !== 'number') rejections.push('no-accuracy');
+  else if (accuracy > rules.maxAccuracyM) rejections.push('poor-accuracy');
+  if (speedKmh > rules.maxSpeedKmh) rejections.push('implausible-speed');
+  if (fix.simulated && !rules.allowSimulated) rejections.push('simulated-location');
+
+  const warnings = [];
+  if (fix.timestamp && now - fix.timestamp > rules.staleFixMs) warnings.push('stale-location');
+  if (fix.simulated && rules.allowSimulated) warnings.push('simulated-location');
+  if (captureMode !== 'camera') warnings.push('fallback-mode');
+
+  // 각 요소를 0~1로 바꿔 가중 합산
+  const riskScore = Math.min(1,
+    0.3 * Math.min(distanceKm / rules.maxCaptureDistanceKm, 1) +
+    0.2 * Math.min(accuracy / rules.maxAccuracyM, 1) +
+    0.3 * Math.min(speedKmh / rules.maxSpeedKmh, 1) +
+    (warnings.includes('stale-location') ? 0.1 : 0) +
+    (fix.fallback ? 0.3 : 0) +
+    (fix.simulated ? 0.5 : 0) +
+    (warnings.includes('fallback-mode') ? 0.1 : 0)
+  );
+
+  return {
+    ok: rejections.length === 0,
+    rejections,
+    warnings,
+    riskScore: Math.round(riskScore * 100) / 100,
+    distanceKm,
+    speedKmh
+  };
+};
+
+// 검증 결과를 사용자에게 보여줄 문구
+export const describeValidation = (validation) => (
+  validation.rejections.map(reason => VALIDATION_MESSAGES[reason]).join(' / ')
+);
@@ -0,0 +1,103 @@
+import { calculateDistance } from './geo';
+import { VALIDATION_RULES, describeValidation, getMaxRecentSpeed, validateCapture } from './captureValidation';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+const MINUTE_MS = 60 * 1000;
+
+const RULES = { ...VALIDATION_RULES, allowSimulated: false };
+const monster = { id: 'cell:1:0', lat: 37.6, lng: 127.0 };
+
+const fixAt = (overrides = {}) => ({ lat: 37.6, lng: 127.0, accuracy: 10, timestamp: NOW, ...overrides });
+
+const validate = (fixes, options = {}) => validateCapture({ monster, fixes, now: NOW, rules: RULES, ...options });
+
+describe('validateCapture', () => {
+  it('위치 기록이 없으면 거부하고 위험 점수는 1', () => {
+    expect(validate([])).toEqual(expect.objectContaining({ ok: false, rejections: ['no-location'], riskScore: 1 }));
+  });
+
+  it('가까이에서 정확한 최근 위치로 잡으면 통과하고 정확도만큼의 위험 점수를 남긴다', () => {
+    const result = validate([fixAt()]);
+    expect(result).toEqual(expect.objectContaining({ ok: true, rejections: [], warnings: [], distanceKm: 0, speedKmh: 0 }));
+    // 0.2 × (10m / 100m)
+    expect(result.riskScore).toBe(0.02);
+  });
+
+  it('포획 거리를 넘으면 too-far', () => {
+    const near = validate([fixAt({ lat: 37.6004 })]);
+    const far = validate([fixAt({ lat: 37.6005 })]);
+
+    expect(calculateDistance(37.6004, 127.0, monster.lat, monster.lng)).toBeLessThan(RULES.maxCaptureDistanceKm);
+    expect(near.ok).toBe(true);
+    expect(far.rejections).toEqual(['too-far']);
+    expect(far.riskScore).toBe(0.32);
+  });
+
+  it('정확도가 한도보다 나쁘면 poor-accuracy, 알 수 없으면 no-accuracy', () => {
+    expect(validate([fixAt({ accuracy: RULES.maxAccuracyM })]).ok).toBe(true);
+    expect(validate([fixAt({ accuracy: RULES.maxAccuracyM + 1 })]).rejections).toEqual(['poor-accuracy']);
+    expect(validate([fixAt({ accuracy: undefined })]).rejections).toEqual(['no-accuracy']);
+    expect(validate([fixAt({ accuracy: null })]).rejections).toEqual(['no-accuracy']);
+  });
+
+  it('최근 위치 사이를 비현실적인 속도로 이동했으면 implausible-speed', () => {
+    // 1분 만에 약 5.6km (≈ 333km/h)
+    const jump = [fixAt({ lat: 37.55, timestamp: NOW - MINUTE_MS }), fixAt()];
+    const result = validate(jump);
+
+    expect(result.rejections).toEqual(['implausible-speed']);
+    expect(result.speedKmh).toBeGreaterThan(RULES.maxSpeedKmh);
+    expect(result.riskScore).toBe(0.32);
+  });
+
+  it('검사 시간 밖이거나 간격이 너무 짧은 위치는 속도 계산에서 뺀다', () => {
+    const old = [fixAt({ lat: 37.55, timestamp: NOW - RULES.speedWindowMs - 1 }), fixAt()];
+    const burst = [fixAt({ lat: 37.55, timestamp: NOW - RULES.minIntervalMs + 1 }), fixAt()];
+
+    expect(getMaxRecentSpeed(old, NOW, RULES)).toBe(0);
+    expect(getMaxRecentSpeed(burst, NOW, RULES)).toBe(0);
+  });
+
+  it('기본 위치로는 포획할 수 없고 위험 점수가 오른다', () => {
+    const result = validate([fixAt({ fallback: true })]);
+    expect(result.rejections).toEqual(['fallback-location']);
+    expect(result.riskScore).toBe(0.32);
+  });
+
+  it('시뮬레이터 위치는 허용하지 않으면 거부, 허용하면 주의 사항으로 통과한다', () => {
+    const fixes = [fixAt({ simulated: true })];
+
+    expect(validate(fixes).rejections).toEqual(['simulated-location']);
+
+    const allowed = validate(fixes, { rules: { ...RULES, allowSimulated: true } });
+    expect(allowed.ok).toBe(true);
+    expect(allowed.warnings).toEqual(['simulated-location']);
+    expect(allowed.riskScore).toBe(0.52);
+  });
+
+  it('오래된 위치와 카메라 없는 포획은 주의 사항으로 위험 점수를 더한다', () => {
+    const result = validate([fixAt({ timestamp: NOW - RULES.staleFixMs - 1 })], { captureMode: 'backdrop' });
+
+    expect(result.ok).toBe(true);
+    expect(result.warnings).toEqual(['stale-location', 'fallback-mode']);
+    expect(result.riskScore).toBe(0.22);
+  });
+
+  it('위험 요소가 겹치면 점수를 더하되 1을 넘지 않는다', () => {
+    const fixes = [fixAt({ lat: 37.61, accuracy: 500, timestamp: NOW - RULES.staleFixMs - 1, fallback: true, simulated: true })];
+
+    const result = validate(fixes, { captureMode: 'photo' });
+
+    expect(result.rejections).toEqual(['fallback-location', 'too-far', 'poor-accuracy', 'simulated-location']);
+    expect(result.warnings).toEqual(['stale-location', 'fallback-mode']);
+    expect(result.riskScore).toBe(1);
+  });
+});
+
+describe('describeValidation', () => {
+  it('거부 사유를 안내 문구로 이어 붙인다', () => {
+    expect(describeValidation({ rejections: ['too-far', 'no-accuracy'] })).toBe(
+      '몬스터가 너무 멀리 있습니다. 더 가까이 가서 시도해보세요 / 위치 정확도를 알 수 없습니다. 위치 서비스를 켜고 다시 시도해보세요'
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import { CLUSTER_CONFIG, clusterHotspots } from './hotspotClustering';
+
+// 무단투기 신고 기록
+// 신고 하나하나를 기록(report)으로 저장하고, 신고 지점을 군집화해 핫스팟을 다시 계산합니다
+// (hotspotClustering.js). 기록의 hotspotId로 어느 핫스팟에 합쳐졌는지 알 수 있습니다.
+
+export const REPORT_CONFIG = {
+  maxDescriptionLength: 300,
+  pinStepM: 10 // 지도 없이 핀을 옮길 때 한 번에 움직이는 거리
+};
+
+// 예상 투기량
+export const REPORT_VOLUMES = [
+  { id: 'bag', label: '봉투 1~2개' },
+  { id: 'pile', label: '봉투 여러 개' },
+  { id: 'bulky', label: '가구·대형 폐기물' },
+  { id: 'truck', label: '트럭 한 대 이상' }
+];
+
+export const getReportVolume = (volumeId) => REPORT_VOLUMES.find(volume => volume.id === volumeId) || null;
+
+// 신고 기록 id - 여러 탭에서 같은 시각에 신고해도 겹치지 않도록 임의 값을 붙입니다.
+export const createReportId = (timestamp = Date.now()) => (
+  `report-${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// 익명 신고자 id - 기기마다 한 번 만들어 저장하고, 이름 대신 신고 기록에 남깁니다.
+export const createReporterId = () => `reporter-${Math.random().toString(36).slice(2, 10)}`;
+
+// 신고 양식 검사 - 문제가 있으면 사용자에게 보여줄 문구 목록
+export const validateReportDraft = (draft, config = REPORT_CONFIG) => {
+  const errors = [];
+  if (!draft.location) errors.push('신고 위치를 정해주세요');
+  if (!draft.category) errors.push('쓰레기 종류를 골라주세요');
+  if (!draft.volume) errors.push('예상 양을 골라주세요');
+  if ((draft.description || '').length > config.maxDescriptionLength) {
+    errors.push(`설명은 ${config.maxDescriptionLength}자 이내로 적어주세요`);
+  }
+  return errors;
+};
+
+// 핀을 북/동 방향으로 미터 단위만큼 옮긴 위치
+export const offsetLocation = (location, northM, eastM) => {
+  const latPerM = 1 / 111320;
+  const lngPerM = 1 / (111320 * Math.cos(location.lat * Math.PI / 180));
+  return {
+    lat: location.lat + northM * latPerM,
+    lng: location.lng + eastM * lngPerM
+  };
+};
+
+// 신고 기록 생성
+export const createDumpingReport = ({
+  id = createReportId(),
+  location,
+  category = null,
+  volume = null,
+  description = '',
+  photoId = null,
+  reporter = null
+}, timestamp = Date.now()) => ({
+  id,
+  hotspotId: null,
+  lat: location.lat,
+  lng: location.lng,
+  category,
+  volume,
+  description: description.trim(),
+  photoId,
+  reporter,
+  reportedAt: new Date(timestamp).toISOString()
+});
+
+// 신고를 핫스팟 목록에 반영 - 새 신고를 더해 모든 신고 지점으로 핫스팟을 다시 계산
+// 반환값 - { hotspots, reports, report }
+//   reports - 새 신고를 더하고 hotspotId를 새 군집에 맞춘 신고 기록 목록
+//   report  - 합쳐진 핫스팟의 hotspotId가 채워진 새 신고
+export const mergeReportIntoHotspots = (hotspots, reports, report, config = CLUSTER_CONFIG) => {
+  const clustered = clusterHotspots(hotspots, [...reports, report], Date.parse(report.reportedAt), config);
+  const merged = clustered.reports.find(item => item.id === report.id);
+  return { hotspots: clustered.hotspots, reports: clustered.reports, report: merged };
+};
@@ -0,0 +1,177 @@
+import { matchesCriteria } from './missionCriteria';
+import { getLevel, getLevelTitle, getLevelReward } from './levelCurve';
+
+// 게임 이벤트 엔진
+// 몬스터 포획, 무단투기 신고, 이벤트 참여, 친구 초대, 분리배출 퀴즈 같은 행동을 이벤트로 받아
+// 규칙 표(GAME_RULES)와 각 미션의 조건(criteria)에 따라
+// 미션 진행도, 배지 진행도, 포인트 거래, 알림을 한 번에 계산합니다.
+// React와 무관한 순수 함수이므로 화면 없이도 테스트할 수 있습니다.
+
+export const GAME_EVENTS = {
+  MONSTER_CAPTURED: 'MONSTER_CAPTURED',
+  DUMPING_REPORTED: 'DUMPING_REPORTED',
+  EVENT_JOINED: 'EVENT_JOINED',
+  FRIEND_INVITED: 'FRIEND_INVITED',
+  QUIZ_ANSWERED: 'QUIZ_ANSWERED'
+};
+
+const BADGE_REWARD = 100; // 배지 획득 보상
+export const QUIZ_BONUS = 20; // 분리배출 퀴즈 정답 보너스
+export const ECO_HERO_BADGE_ID = 5; // 레벨을 진행도로 쓰는 배지
+
+const isPlastic = ({ monster }) => monster.type === '플라스틱';
+
+// 이벤트별 규칙 (미션 진행은 각 미션의 criteria로 판단)
+//   source   - 포인트 장부에 기록할 출처
+//   points   - 이벤트 자체로 얻는 포인트
+//   entityId - 포인트와 관련된 대상 id
+//   badges   - 진행도를 올릴 배지 id와 조건
+//   message  - 이벤트 알림 문구
+export const GAME_RULES = {
+  [GAME_EVENTS.MONSTER_CAPTURED]: {
+    source: 'capture',
+    points: ({ monster }) => monster.points,
+    entityId: ({ monster }) => monster.id,
+    badges: [{ id: 1, when: isPlastic }],
+    message: ({ monster }) => `축하합니다! ${monster.name}을(를) 포획하고 ${monster.points} 포인트를 획득했습니다!`
+  },
+  [GAME_EVENTS.DUMPING_REPORTED]: {
+    source: 'report',
+    points: () => 50,
+    entityId: ({ hotspotId }) => hotspotId,
+    badges: [{ id: 2 }],
+    message: () => `무단투기 신고 완료! 50 포인트를 획득했습니다.`
+  },
+  [GAME_EVENTS.EVENT_JOINED]: {
+    source: 'event',
+    entityId: ({ event }) => event.id,
+    badges: [{ id: 4 }],
+    message: ({ event }) => `${event.title} 이벤트 참여가 완료되었습니다. 이벤트 당일에 참석하시면 ${event.reward} 포인트를 획득하실 수 있습니다.`
+  },
+  [GAME_EVENTS.FRIEND_INVITED]: {
+    message: () => `친구 초대가 완료되었습니다. 친구가 가입하면 100 포인트를 추가로 받습니다!`
+  },
+  [GAME_EVENTS.QUIZ_ANSWERED]: {
+    source: 'quiz',
+    // 같은 문제의 보너스는 처음 맞혔을 때 한 번만 (repeat - 이미 보너스를 받은 문제)
+    points: ({ correct, repeat }) => (correct && !repeat ? QUIZ_BONUS : 0),
+    entityId: ({ question }) => question.id,
+    message: ({ correct, repeat }) => {
+      if (!correct) return '아쉽지만 오답입니다. 분리배출 가이드를 다시 확인해보세요.';
+      return repeat ? '분리배출 퀴즈 정답!' : `분리배출 퀴즈 정답! 보너스 ${QUIZ_BONUS} 포인트를 획득했습니다.`;
+    }
+  }
+};
+
+const appliesTo = (target, event) => !target.when || target.when(event);
+
+// 알림 id - 여러 탭에서 같은 시각에 알림이 생겨도 겹치지 않도록 임의 값을 붙입니다 (pointsLedger와 같은 방식).
+export const createNotificationId = (timestamp = Date.now()) => (
+  `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// 게임 이벤트 처리
+// state: { points, missions, badges, notifications }
+// 새 상태와 함께 이번 이벤트로 생긴 포인트 거래(transactions)를 반환하며
+// 입력 상태는 변경하지 않습니다. 거래는 pointsLedger에 기록합니다.
+export const processGameEvent = (state, event, { now = Date.now() } = {}) => {
+  const rule = GAME_RULES[event.type];
+  if (!rule) {
+    throw new Error(`알 수 없는 게임 이벤트입니다: ${event.type}`);
+  }
+
+  let points = state.points;
+  let missions = state.missions;
+  let badges = state.badges;
+  const newNotifications = [];
+  const transactions = [];
+
+  const grant = (source, amount, entityId, description) => {
+    if (amount === 0) return;
+    points += amount;
+    transactions.push({ source, amount, entityId: entityId === undefined ? null : entityId, description });
+  };
+
+  const notify = (message) => {
+    newNotifications.push({
+      id: createNotificationId(now),
+      createdAt: new Date(now).toISOString(),
+      message,
+      urgent: false,
+      read: false
+    });
+  };
+
+  // 이벤트 보상
+  const eventPoints = rule.points ? rule.points(event) : 0;
+  const description = rule.message ? rule.message(event) : '';
+  grant(rule.source, eventPoints, rule.entityId && rule.entityId(event), description);
+  if (description) notify(description);
+
+  // 미션 진행도 - 조건에 맞는 미션을 올리고, 완료되는 순간 보상 지급
+  missions = missions.map(mission => {
+    if (mission.completed || !matchesCriteria(mission.criteria, event, now)) return mission;
+
+    const progress = mission.progress + 1;
+    const completed = progress >= mission.total;
+    if (completed) {
+      grant('mission', mission.reward, mission.id, mission.title);
+      notify(`미션 완료: ${mission.title}! ${mission.reward} 포인트를 획득했습니다.`);
+    }
+    return { ...mission, progress, completed };
+  });
+
+  // 배지 진행도
+  const badgeTargets = (rule.badges || []).filter(target => appliesTo(target, event));
+  badges = badges.map(badge => (
+    badgeTargets.some(target => target.id === badge.id)
+      ? { ...badge, progress: badge.progress + 1 }
+      : badge
+  ));
+
+  // 레벨업 - 도달한 레벨마다 보상과 알림, 에코 히어로 배지 진행도 갱신
+  // 레벨/배지 보상으로 다시 레벨이 오를 수 있으므로 더 바뀌지 않을 때까지 반복합니다.
+  let level = getLevel(state.points);
+  let settled = false;
+  while (!settled) {
+    settled = true;
+
+    const newLevel = getLevel(points);
+    while (level < newLevel) {
+      level++;
+      settled = false;
+      const reward = getLevelReward(level);
+      grant('level', reward.points, level, `레벨 ${level} 달성 보상`);
+      const unlockText = reward.unlock ? `, ${reward.unlock}` : '';
+      notify(`축하합니다! EcoQuest 레벨 ${level}(${getLevelTitle(level)})에 도달했습니다! 보상: ${reward.points} 포인트${unlockText}`);
+    }
+    if (!settled) {
+      const reachedLevel = level;
+      badges = badges.map(badge => (
+        badge.id === ECO_HERO_BADGE_ID ? { ...badge, progress: reachedLevel } : badge
+      ));
+    }
+
+    // 목표치에 도달한 배지 잠금 해제
+    const unlockable = badges.filter(badge => !badge.unlocked && badge.progress >= badge.total);
+    if (unlockable.length > 0) {
+      settled = false;
+      unlockable.forEach(badge => {
+        grant('badge', BADGE_REWARD, badge.id, badge.name);
+        notify(`새로운 배지를 획득했습니다: ${badge.name}`);
+      });
+      badges = badges.map(badge => (
+        unlockable.includes(badge) ? { ...badge, unlocked: true } : badge
+      ));
+    }
+  }
+
+  return {
+    points,
+    missions,
+    badges,
+    transactions,
+    // 나중에 생긴 알림이 맨 위에 오도록 역순으로 추가
+    notifications: [...newNotifications.reverse(), ...state.notifications]
+  };
+};
@@ -0,0 +1,94 @@
+import { ECO_HERO_BADGE_ID, GAME_EVENTS, processGameEvent } from './gameEngine';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+
+const plasticMonster = { id: 'cell:1:0', name: '페트병 몬스터', type: '플라스틱', rarity: 'common', points: 30 };
+
+const makeState = (overrides = {}) => ({
+  points: 0,
+  missions: [],
+  badges: [],
+  notifications: [],
+  ...overrides
+});
+
+const summarize = (transactions) => transactions.map(({ source, amount }) => [source, amount]);
+
+describe('processGameEvent', () => {
+  it('조건에 맞는 미션을 올리고 완료되는 순간 보상을 한 번 지급한다', () => {
+    const missions = [
+      { id: 1, title: '플라스틱 3마리', progress: 2, total: 3, reward: 100, completed: false,
+        criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, monsterType: '플라스틱' } },
+      { id: 2, title: '유리 2마리', progress: 0, total: 2, reward: 80, completed: false,
+        criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, monsterType: '유리' } },
+      { id: 3, title: '이미 끝난 미션', progress: 1, total: 1, reward: 50, completed: true,
+        criteria: { event: GAME_EVENTS.MONSTER_CAPTURED } }
+    ];
+    const state = makeState({ missions });
+
+    const result = processGameEvent(state, { type: GAME_EVENTS.MONSTER_CAPTURED, monster: plasticMonster }, { now: NOW });
+
+    expect(result.missions[0]).toEqual(expect.objectContaining({ progress: 3, completed: true }));
+    expect(result.missions[1]).toBe(missions[1]);
+    expect(result.missions[2]).toBe(missions[2]);
+    // 포획 30 + 미션 100 = 130 → 레벨 2 보상 20
+    expect(summarize(result.transactions)).toEqual([['capture', 30], ['mission', 100], ['level', 20]]);
+    expect(result.points).toBe(150);
+    expect(state.missions).toBe(missions);
+  });
+
+  it('목표치에 도달한 배지를 잠금 해제하고 보상과 알림을 남긴다', () => {
+    const badges = [
+      { id: 2, name: '신고왕', progress: 4, total: 5, unlocked: false },
+      { id: 4, name: '이벤트 참가자', progress: 0, total: 3, unlocked: false }
+    ];
+    const state = makeState({ badges, notifications: [{ id: 1, message: '예전 알림' }] });
+
+    const result = processGameEvent(state, { type: GAME_EVENTS.DUMPING_REPORTED, hotspotId: 7 }, { now: NOW });
+
+    expect(result.badges[0]).toEqual(expect.objectContaining({ progress: 5, unlocked: true }));
+    expect(result.badges[1]).toBe(badges[1]);
+    expect(result.transactions).toContainEqual(expect.objectContaining({ source: 'badge', amount: 100, entityId: 2 }));
+    expect(result.transactions[0]).toEqual(expect.objectContaining({ source: 'report', amount: 50, entityId: 7 }));
+    // 나중에 생긴 알림이 맨 위
+    expect(result.notifications.map(notification => notification.message)).toEqual([
+      expect.stringContaining('레벨 2'),
+      '새로운 배지를 획득했습니다: 신고왕',
+      '무단투기 신고 완료! 50 포인트를 획득했습니다.',
+      '예전 알림'
+    ]);
+  });
+
+  it('레벨·배지 보상으로 다시 레벨이 오르면 더 바뀌지 않을 때까지 반복한다', () => {
+    const state = makeState({
+      points: 200, // 레벨 2
+      badges: [{ id: ECO_HERO_BADGE_ID, name: '에코 히어로', progress: 2, total: 3, unlocked: false }]
+    });
+
+    const result = processGameEvent(
+      state,
+      { type: GAME_EVENTS.MONSTER_CAPTURED, monster: { ...plasticMonster, type: '유리', points: 20 } },
+      { now: NOW }
+    );
+
+    // 220 → 레벨 3 (보상 50) → 에코 히어로 배지 (보상 100) → 370 → 레벨 4 (보상 20)
+    expect(summarize(result.transactions)).toEqual([['capture', 20], ['level', 50], ['badge', 100], ['level', 20]]);
+    expect(result.points).toBe(390);
+    expect(result.badges[0]).toEqual(expect.objectContaining({ progress: 4, unlocked: true }));
+  });
+
+  it('1ms 간격으로 이어진 이벤트의 알림도 id가 겹치지 않는다', () => {
+    const capture = { type: GAME_EVENTS.MONSTER_CAPTURED, monster: plasticMonster };
+    // 포획 알림과 레벨 2 알림이 함께 생기는 포획 뒤 1ms 만에 친구 초대
+    const first = processGameEvent(makeState({ points: 90 }), capture, { now: NOW });
+    const second = processGameEvent(first, { type: GAME_EVENTS.FRIEND_INVITED }, { now: NOW + 1 });
+
+    const ids = second.notifications.map(notification => notification.id);
+    expect(ids).toHaveLength(3);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('알 수 없는 이벤트는 오류를 던진다', () => {
+    expect(() => processGameEvent(makeState(), { type: 'UNKNOWN' }, { now: NOW })).toThrow('UNKNOWN');
+  });
+});
@@ -0,0 +1,27 @@
+// 위치 관련 유틸리티
+
+// 위치 거리 계산 유틸리티 함수
+export const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const deg2rad = (deg) => deg * (Math.PI/180);
+  const R = 6371; // 지구 반경 (km)
+  const dLat = deg2rad(lat2-lat1);
+  const dLng = deg2rad(lng2-lng1);
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
+    Math.sin(dLng/2) * Math.sin(dLng/2); 
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
+  const d = R * c; // 거리 (km)
+  return d;
+};
+
+// 첫 지점에서 둘째 지점을 바라보는 방위각 (북쪽 0°, 시계 방향, 0~360)
+export const calculateBearing = (lat1, lng1, lat2, lng2) => {
+  const deg2rad = (deg) => deg * (Math.PI/180);
+  const dLng = deg2rad(lng2-lng1);
+  const y = Math.sin(dLng) * Math.cos(deg2rad(lat2));
+  const x =
+    Math.cos(deg2rad(lat1)) * Math.sin(deg2rad(lat2)) -
+    Math.sin(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * Math.cos(dLng);
+  return (Math.atan2(y, x) * (180/Math.PI) + 360) % 360;
+};
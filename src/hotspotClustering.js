@@ -0,0 +1,214 @@
+import { calculateDistance } from './geo';
+import { addWasteReport } from './wasteCategories';
+
+// 핫스팟 공간 군집화
+// 핫스팟은 신고 지점들을 DBSCAN으로 묶은 군집입니다. 신고가 들어올 때마다 모든 신고 지점으로
+// 군집을 다시 계산하므로, 가까운 핫스팟은 합쳐지고 멀리 떨어진 신고는 새 핫스팟으로 갈라지며,
+// 중심은 신고가 실제로 일어나는 곳으로 옮겨 갑니다.
+// 같은 신고 집합이면 입력 순서와 상관없이 항상 같은 결과가 나오도록 지점을 키 순서로 처리합니다.
+//
+// 신고 기록(dumpingReports.js)을 남기기 전에 쌓인 신고는 개별 위치가 없으므로,
+// 핫스팟의 baseline { lat, lng, reportCount, wasteCounts, photoIds, since }을 무게가 있는 한 지점으로 다룹니다.
+// since는 예전 신고들의 시각으로 보는 값으로, 핫스팟의 마지막 신고 시각(없으면 처음 군집화한 시각)입니다
+// (hotspotSeverity.js에서 사용).
+
+export const CLUSTER_CONFIG = {
+  epsKm: 0.1, // 이 거리 안의 지점을 이웃으로 봄
+  minWeight: 2, // 이웃 신고 수(자신 포함)가 이 이상이면 군집을 넓히는 핵심 지점 (2면 100m 안의 두 신고도 합쳐짐)
+  minRadiusKm: 0.02 // 핫스팟 반경 최솟값
+};
+
+// 신고 기록에 없는 신고 (baseline이 없는 예전 핫스팟은 기록된 신고를 빼서 계산)
+export const getHotspotBaseline = (hotspot, reports) => {
+  if (hotspot.baseline) return hotspot.baseline;
+  const recorded = reports.filter(report => report.hotspotId === hotspot.id);
+  const wasteCounts = { ...(hotspot.wasteCounts || {}) };
+  recorded.forEach(report => {
+    if (wasteCounts[report.category] > 0) wasteCounts[report.category] -= 1;
+  });
+  const recordedPhotoIds = recorded.map(report => report.photoId).filter(Boolean);
+  return {
+    lat: hotspot.lat,
+    lng: hotspot.lng,
+    reportCount: Math.max((hotspot.reportCount || 0) - recorded.length, 0),
+    wasteCounts,
+    photoIds: (hotspot.photoIds || []).filter(photoId => !recordedPhotoIds.includes(photoId)),
+    since: hotspot.lastReportAt || null
+  };
+};
+
+// 군집화할 지점 목록 (키 순서로 정렬)
+const toPoints = (hotspots, reports) => {
+  const anchors = hotspots
+    .map(hotspot => ({ hotspot, baseline: getHotspotBaseline(hotspot, reports) }))
+    .filter(({ baseline }) => baseline.reportCount > 0)
+    .map(({ hotspot, baseline }) => ({
+      key: `baseline:${hotspot.id}`,
+      lat: baseline.lat,
+      lng: baseline.lng,
+      weight: baseline.reportCount,
+      hotspotId: hotspot.id,
+      baseline
+    }));
+  const reportPoints = reports.map(report => ({
+    key: `report:${report.id}`,
+    lat: report.lat,
+    lng: report.lng,
+    weight: 1,
+    hotspotId: report.hotspotId,
+    report
+  }));
+  return [...anchors, ...reportPoints].sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// 무게가 있는 DBSCAN - 지점 목록의 군집 목록(지점 배열의 배열)을 반환
+// 어느 핵심 지점에도 닿지 않는 지점(잡음)도 버리지 않고 혼자서 군집이 됩니다.
+export const dbscan = (points, config = CLUSTER_CONFIG) => {
+  const neighborsOf = (point) => points.filter(other => (
+    calculateDistance(point.lat, point.lng, other.lat, other.lng) <= config.epsKm
+  ));
+  const isCore = (neighbors) => neighbors.reduce((total, point) => total + point.weight, 0) >= config.minWeight;
+
+  const clusterOf = new Map();
+  const clusters = [];
+  points.forEach(point => {
+    if (clusterOf.has(point)) return;
+    const neighbors = neighborsOf(point);
+    if (!isCore(neighbors)) return;
+
+    const cluster = [];
+    clusters.push(cluster);
+    const queue = [point];
+    clusterOf.set(point, cluster);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      cluster.push(current);
+      const currentNeighbors = current === point ? neighbors : neighborsOf(current);
+      if (!isCore(currentNeighbors)) continue;
+      currentNeighbors.forEach(neighbor => {
+        if (clusterOf.has(neighbor)) return;
+        clusterOf.set(neighbor, cluster);
+        queue.push(neighbor);
+      });
+    }
+  });
+
+  points.filter(point => !clusterOf.has(point)).forEach(point => clusters.push([point]));
+  return clusters;
+};
+
+// 군집의 무게 중심과 반경 (km)
+export const getClusterShape = (cluster, config = CLUSTER_CONFIG) => {
+  const totalWeight = cluster.reduce((total, point) => total + point.weight, 0);
+  const lat = cluster.reduce((total, point) => total + point.lat * point.weight, 0) / totalWeight;
+  const lng = cluster.reduce((total, point) => total + point.lng * point.weight, 0) / totalWeight;
+  const radiusKm = Math.max(
+    config.minRadiusKm,
+    ...cluster.map(point => calculateDistance(lat, lng, point.lat, point.lng))
+  );
+  return { lat, lng, radiusKm, totalWeight };
+};
+
+// 군집이 이어받을 핫스팟 id 후보 (군집 안에서 무게가 큰 순, 같으면 id 순)
+const rankHotspotIds = (cluster) => {
+  const weights = new Map();
+  cluster.forEach(point => {
+    if (point.hotspotId === null || point.hotspotId === undefined) return;
+    weights.set(point.hotspotId, (weights.get(point.hotspotId) || 0) + point.weight);
+  });
+  return [...weights.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([hotspotId]) => hotspotId);
+};
+
+// 새로 생기거나 갈라진 군집의 id - 가장 이른 신고 시각 (다른 핫스팟 id와 겹치면 1씩 더함)
+const createClusterId = (cluster, isTaken) => {
+  const times = cluster
+    .filter(point => point.report)
+    .map(point => Date.parse(point.report.reportedAt));
+  let id = times.length > 0 ? Math.min(...times) : 1;
+  while (isTaken(id)) id += 1;
+  return id;
+};
+
+// 모든 신고 지점으로 핫스팟 다시 계산
+// 반환값 - { hotspots, reports } (신고 기록의 hotspotId는 새 군집에 맞게 바뀜)
+// 합쳐진 핫스팟은 무게가 가장 큰 핫스팟의 id와 이름을 이어받고, 나머지는 사라집니다.
+// 정리 완료 확인(cleanups)은 군집에 지점이 포함된 모든 핫스팟에서 이어받습니다.
+export const clusterHotspots = (hotspots, reports, now = Date.now(), config = CLUSTER_CONFIG) => {
+  const hotspotsById = new Map(hotspots.map(hotspot => [hotspot.id, hotspot]));
+  const clusters = dbscan(toPoints(hotspots, reports), config)
+    .map(cluster => ({ points: cluster, shape: getClusterShape(cluster, config) }))
+    // 무게가 큰 군집이 기존 id를 먼저 가져감 (같으면 첫 지점의 키 순)
+    .sort((a, b) => b.shape.totalWeight - a.shape.totalWeight || a.points[0].key.localeCompare(b.points[0].key));
+
+  const usedIds = new Set();
+  const hotspotIdByReport = new Map();
+  const clustered = clusters.map(({ points, shape }) => {
+    const rankedIds = rankHotspotIds(points).filter(hotspotId => hotspotsById.has(hotspotId));
+    const inheritedId = rankedIds.find(hotspotId => !usedIds.has(hotspotId));
+    const id = inheritedId !== undefined
+      ? inheritedId
+      : createClusterId(points, candidate => usedIds.has(candidate) || hotspotsById.has(candidate));
+    usedIds.add(id);
+
+    const anchors = points.filter(point => point.baseline);
+    const clusterReports = points.filter(point => point.report).map(point => point.report);
+    clusterReports.forEach(report => hotspotIdByReport.set(report.id, id));
+
+    const baselineCount = anchors.reduce((total, point) => total + point.baseline.reportCount, 0);
+    const sinceTimes = anchors.map(point => point.baseline.since).filter(Boolean).sort();
+    const baseline = {
+      lat: baselineCount > 0
+        ? anchors.reduce((total, point) => total + point.baseline.lat * point.baseline.reportCount, 0) / baselineCount
+        : shape.lat,
+      lng: baselineCount > 0
+        ? anchors.reduce((total, point) => total + point.baseline.lng * point.baseline.reportCount, 0) / baselineCount
+        : shape.lng,
+      reportCount: baselineCount,
+      wasteCounts: anchors.reduce((counts, point) => {
+        const merged = { ...counts };
+        Object.entries(point.baseline.wasteCounts || {}).forEach(([categoryId, count]) => {
+          merged[categoryId] = (merged[categoryId] || 0) + count;
+        });
+        return merged;
+      }, {}),
+      photoIds: anchors.flatMap(point => point.baseline.photoIds || []),
+      since: baselineCount > 0 ? sinceTimes[sinceTimes.length - 1] || new Date(now).toISOString() : null
+    };
+
+    // 마지막 신고 시각 - 이어받은 핫스팟들과 군집의 신고 기록 중 가장 늦은 시각
+    const reportTimes = [
+      ...rankedIds.map(hotspotId => hotspotsById.get(hotspotId).lastReportAt),
+      ...clusterReports.map(report => report.reportedAt)
+    ].filter(Boolean).sort();
+
+    const previous = hotspotsById.get(id);
+    return {
+      ...(previous || {
+        id,
+        name: `${shape.lat.toFixed(4)}, ${shape.lng.toFixed(4)} 부근`
+      }),
+      lastReportAt: reportTimes[reportTimes.length - 1] || null,
+      lat: shape.lat,
+      lng: shape.lng,
+      radiusKm: shape.radiusKm,
+      reportCount: shape.totalWeight,
+      wasteCounts: clusterReports.reduce((counts, report) => addWasteReport(counts, report.category), baseline.wasteCounts),
+      photoIds: [...baseline.photoIds, ...clusterReports.map(report => report.photoId).filter(Boolean)],
+      cleanups: rankedIds
+        .flatMap(hotspotId => hotspotsById.get(hotspotId).cleanups || [])
+        .filter((cleanup, index, all) => all.findIndex(other => other.id === cleanup.id) === index),
+      baseline
+    };
+  });
+
+  return {
+    hotspots: clustered.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true })),
+    reports: reports.map(report => (
+      report.hotspotId === hotspotIdByReport.get(report.id)
+        ? report
+        : { ...report, hotspotId: hotspotIdByReport.get(report.id) }
+    ))
+  };
+};
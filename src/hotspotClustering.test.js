@@ -0,0 +1,142 @@
+import { calculateDistance } from './geo';
+import { CLUSTER_CONFIG, clusterHotspots, getClusterShape } from './hotspotClustering';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+
+const makeReport = (id, lat, lng, reportedAt, hotspotId = null) => ({
+  id,
+  hotspotId,
+  lat,
+  lng,
+  category: 'general',
+  volume: 'bag',
+  description: '',
+  photoId: null,
+  reporter: null,
+  reportedAt
+});
+
+const makeHotspot = (id, lat, lng, reportCount) => ({
+  id,
+  name: `핫스팟 ${id}`,
+  lat,
+  lng,
+  reportCount,
+  wasteCounts: { general: reportCount },
+  lastReportAt: '2026-03-01T09:00:00.000Z'
+});
+
+describe('clusterHotspots', () => {
+  it('신고 순서와 상관없이 같은 핫스팟과 배정 결과를 만든다', () => {
+    const hotspots = [makeHotspot(1, 37.602, 127.015, 4), makeHotspot(2, 37.61, 127.03, 2)];
+    const reports = [
+      makeReport('a', 37.6021, 127.0151, '2026-03-02T01:00:00.000Z'),
+      makeReport('b', 37.6101, 127.0301, '2026-03-02T02:00:00.000Z'),
+      makeReport('c', 37.62, 127.05, '2026-03-02T03:00:00.000Z'),
+      makeReport('d', 37.6019, 127.0149, '2026-03-02T04:00:00.000Z')
+    ];
+
+    const forward = clusterHotspots(hotspots, reports, NOW);
+    const reversed = clusterHotspots([...hotspots].reverse(), [...reports].reverse(), NOW);
+
+    expect(reversed.hotspots).toEqual(forward.hotspots);
+    const assignments = (result) => Object.fromEntries(result.reports.map(report => [report.id, report.hotspotId]));
+    expect(assignments(reversed)).toEqual(assignments(forward));
+  });
+
+  it('가까운 두 핫스팟이 합쳐지면 신고가 더 많은 핫스팟의 id와 이름을 이어받는다', () => {
+    // 약 55m 떨어진 두 핫스팟 사이에 새 신고
+    const hotspots = [makeHotspot(1, 37.602, 127.015, 2), makeHotspot(2, 37.6025, 127.015, 5)];
+    const reports = [makeReport('a', 37.60225, 127.015, '2026-03-02T01:00:00.000Z')];
+
+    const result = clusterHotspots(hotspots, reports, NOW);
+
+    expect(result.hotspots).toHaveLength(1);
+    expect(result.hotspots[0].id).toBe(2);
+    expect(result.hotspots[0].name).toBe('핫스팟 2');
+    expect(result.hotspots[0].reportCount).toBe(8);
+    expect(result.hotspots[0].lastReportAt).toBe('2026-03-02T01:00:00.000Z');
+    expect(result.reports[0].hotspotId).toBe(2);
+  });
+
+  it('무게가 같으면 id 순으로 이어받는다', () => {
+    const hotspots = [makeHotspot(2, 37.6025, 127.015, 3), makeHotspot(1, 37.602, 127.015, 3)];
+
+    const result = clusterHotspots(hotspots, [], NOW);
+
+    expect(result.hotspots.map(hotspot => hotspot.id)).toEqual([1]);
+  });
+
+  it('멀리 떨어진 신고는 가장 이른 신고 시각을 id로 하는 새 핫스팟이 된다', () => {
+    const hotspots = [makeHotspot(1, 37.602, 127.015, 4)];
+    const reports = [
+      makeReport('near', 37.6021, 127.0151, '2026-03-02T01:00:00.000Z'),
+      makeReport('far', 37.612, 127.015, '2026-03-02T02:00:00.000Z')
+    ];
+
+    const result = clusterHotspots(hotspots, reports, NOW);
+
+    const farId = Date.parse('2026-03-02T02:00:00.000Z');
+    expect(result.hotspots.map(hotspot => hotspot.id)).toEqual([1, farId]);
+    expect(result.reports.find(report => report.id === 'near').hotspotId).toBe(1);
+    expect(result.reports.find(report => report.id === 'far').hotspotId).toBe(farId);
+
+    const split = result.hotspots[1];
+    expect(split.reportCount).toBe(1);
+    expect(split.radiusKm).toBe(CLUSTER_CONFIG.minRadiusKm);
+    expect(split.name).toBe('37.6120, 127.0150 부근');
+  });
+
+  it('핫스팟 중심은 무게 중심, 반경은 가장 먼 지점까지의 거리다', () => {
+    const reports = [
+      makeReport('a', 37.6, 127.0, '2026-03-02T01:00:00.000Z'),
+      makeReport('b', 37.6, 127.0, '2026-03-02T02:00:00.000Z'),
+      makeReport('c', 37.6006, 127.0, '2026-03-02T03:00:00.000Z')
+    ];
+
+    const [hotspot] = clusterHotspots([], reports, NOW).hotspots;
+
+    expect(hotspot.lat).toBeCloseTo(37.6002, 6);
+    expect(hotspot.lng).toBeCloseTo(127.0, 6);
+    expect(hotspot.radiusKm).toBeCloseTo(calculateDistance(37.6002, 127.0, 37.6006, 127.0), 6);
+    expect(hotspot.reportCount).toBe(3);
+    expect(hotspot.id).toBe(Date.parse('2026-03-02T01:00:00.000Z'));
+  });
+
+  it('이미 군집화한 결과를 다시 군집화해도 그대로다', () => {
+    const hotspots = [makeHotspot(1, 37.602, 127.015, 4)];
+    const reports = [
+      makeReport('a', 37.6021, 127.0151, '2026-03-02T01:00:00.000Z'),
+      makeReport('b', 37.612, 127.015, '2026-03-02T02:00:00.000Z')
+    ];
+
+    const first = clusterHotspots(hotspots, reports, NOW);
+    const second = clusterHotspots(first.hotspots, first.reports, NOW);
+
+    expect(second).toEqual(first);
+  });
+});
+
+describe('군집화한 핫스팟 저장', () => {
+  it('새로 생긴 핫스팟에 덧붙인 정리 확인은 다시 군집화해도 그 핫스팟에 남는다', () => {
+    const hotspots = [makeHotspot(1, 37.602, 127.015, 4)];
+    const reports = [makeReport('far', 37.612, 127.015, '2026-03-02T02:00:00.000Z')];
+    const first = clusterHotspots(hotspots, reports, NOW);
+    const farId = Date.parse('2026-03-02T02:00:00.000Z');
+    const cleanup = { id: 'cleanup-1', reporter: 'reporter-a', confirmedAt: '2026-03-02T08:00:00.000Z' };
+
+    // confirmCleanup처럼 군집화한 결과에 확인을 덧붙여 저장
+    const stored = first.hotspots.map(spot => (spot.id === farId ? { ...spot, cleanups: [cleanup] } : spot));
+    const second = clusterHotspots(stored, first.reports, NOW);
+
+    expect(second.hotspots.find(spot => spot.id === farId).cleanups).toEqual([cleanup]);
+    expect(second.hotspots.find(spot => spot.id === 1).cleanups).toEqual([]);
+  });
+});
+
+describe('getClusterShape', () => {
+  it('반경은 최솟값보다 작아지지 않는다', () => {
+    const shape = getClusterShape([{ lat: 37.6, lng: 127.0, weight: 3 }]);
+    expect(shape).toEqual({ lat: 37.6, lng: 127.0, radiusKm: CLUSTER_CONFIG.minRadiusKm, totalWeight: 3 });
+  });
+});
@@ -0,0 +1,104 @@
+import { getHotspotBaseline } from './hotspotClustering';
+
+// 핫스팟 위험도
+// 평생 신고 수 대신 최근 신고일수록 크게 반영하는 점수로 위험도를 정합니다.
+// 신고 하나의 무게는 반감기(halfLifeDays)마다 절반으로 줄고, 정리 완료 확인은 반대 방향의 증거로 점수를 깎습니다.
+// 신고 없이 quietDays가 지나면 점수와 상관없이 '정리됨'이 됩니다.
+// 한 사람이 정리 확인을 반복해 점수를 지울 수 없도록, 같은 신고자의 확인은 cleanupWindowHours에 한 번만 셉니다.
+// 시간이 지나면 바뀌는 값이므로 저장하지 않고 화면에 보여줄 때 계산합니다.
+
+export const SEVERITY_CONFIG = {
+  halfLifeDays: 14,
+  cleanupWeight: 3, // 정리 완료 확인 한 번이 상쇄하는 신고 수
+  cleanupWindowHours: 24, // 같은 신고자의 정리 완료 확인은 이 시간 안에 한 번만 반영
+  quietDays: 30,
+  thresholds: { high: 6, medium: 3, low: 0.5 } // 이 점수 이상이면 해당 단계
+};
+
+// 위험도 단계별 표시 정보
+export const HOTSPOT_LEVELS = {
+  high: { label: '위험', badge: 'bg-red-100 text-red-800', dot: 'bg-red-500', color: '#ef4444' },
+  medium: { label: '주의', badge: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500', color: '#eab308' },
+  low: { label: '양호', badge: 'bg-green-100 text-green-800', dot: 'bg-green-500', color: '#22c55e' },
+  clean: { label: '정리됨', badge: 'bg-gray-100 text-gray-600', dot: 'bg-gray-400', color: '#9ca3af' }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 정리 완료 확인 기록 { id, confirmedAt, reporter }
+export const createCleanupConfirmation = (reporter = null, timestamp = Date.now()) => ({
+  id: `cleanup-${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  confirmedAt: new Date(timestamp).toISOString(),
+  reporter
+});
+
+// 점수에 반영할 정리 완료 확인 (시간순)
+// 같은 신고자가 앞서 반영된 확인으로부터 cleanupWindowHours 안에 다시 누른 확인은 뺍니다.
+export const getCountedCleanups = (cleanups = [], config = SEVERITY_CONFIG) => {
+  const windowMs = config.cleanupWindowHours * HOUR_MS;
+  const lastCountedAt = new Map();
+  return [...cleanups]
+    .sort((a, b) => Date.parse(a.confirmedAt) - Date.parse(b.confirmedAt) || String(a.id).localeCompare(String(b.id)))
+    .filter(cleanup => {
+      const time = Date.parse(cleanup.confirmedAt);
+      const last = lastCountedAt.get(cleanup.reporter);
+      if (last !== undefined && time - last < windowMs) return false;
+      lastCountedAt.set(cleanup.reporter, time);
+      return true;
+    });
+};
+
+// 이 신고자가 지금 정리 완료를 확인하면 반영되는지 (최근에 이미 확인했으면 false)
+export const canConfirmCleanup = (hotspot, reporter, now = Date.now(), config = SEVERITY_CONFIG) => (
+  !(hotspot.cleanups || []).some(cleanup => (
+    cleanup.reporter === reporter && now - Date.parse(cleanup.confirmedAt) < config.cleanupWindowHours * HOUR_MS
+  ))
+);
+
+// 시각(ms)의 증거가 지금 갖는 무게 비율 (0~1)
+export const getDecayFactor = (time, now, config = SEVERITY_CONFIG) => (
+  Math.pow(0.5, Math.max(now - time, 0) / (config.halfLifeDays * DAY_MS))
+);
+
+export const getSeverityLevel = (score, config = SEVERITY_CONFIG) => {
+  if (score >= config.thresholds.high) return 'high';
+  if (score >= config.thresholds.medium) return 'medium';
+  if (score >= config.thresholds.low) return 'low';
+  return 'clean';
+};
+
+// 핫스팟 하나의 위험도 { score, level, lastEvidenceAt }
+// reports는 전체 신고 기록, 신고 기록이 없는 예전 신고는 baseline.since 시각의 신고로 봅니다.
+export const scoreHotspot = (hotspot, reports, now = Date.now(), config = SEVERITY_CONFIG) => {
+  const baseline = getHotspotBaseline(hotspot, reports);
+  const evidence = reports
+    .filter(report => report.hotspotId === hotspot.id)
+    .map(report => ({ time: Date.parse(report.reportedAt), weight: 1 }));
+  if (baseline.reportCount > 0) {
+    evidence.push({ time: baseline.since ? Date.parse(baseline.since) : now, weight: baseline.reportCount });
+  }
+  getCountedCleanups(hotspot.cleanups, config).forEach(cleanup => {
+    evidence.push({ time: Date.parse(cleanup.confirmedAt), weight: -config.cleanupWeight });
+  });
+
+  const rawScore = evidence.reduce((total, item) => total + item.weight * getDecayFactor(item.time, now, config), 0);
+  const score = Math.max(Math.round(rawScore * 10) / 10, 0);
+  const reportTimes = evidence.filter(item => item.weight > 0).map(item => item.time);
+  const lastEvidenceAt = reportTimes.length > 0 ? Math.max(...reportTimes) : null;
+  const quiet = lastEvidenceAt === null || now - lastEvidenceAt >= config.quietDays * DAY_MS;
+
+  return {
+    score,
+    level: quiet ? 'clean' : getSeverityLevel(score, config),
+    lastEvidenceAt
+  };
+};
+
+// 핫스팟 목록에 현재 위험도(severity 점수와 level)를 채운 목록
+export const applySeverity = (hotspots, reports, now = Date.now(), config = SEVERITY_CONFIG) => (
+  hotspots.map(hotspot => {
+    const { score, level } = scoreHotspot(hotspot, reports, now, config);
+    return { ...hotspot, severity: score, level };
+  })
+);
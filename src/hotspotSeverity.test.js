@@ -0,0 +1,162 @@
+import {
+  SEVERITY_CONFIG, applySeverity, canConfirmCleanup, getCountedCleanups, getDecayFactor, getSeverityLevel, scoreHotspot
+} from './hotspotSeverity';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 신고 기록 없이 reportCount만 있는 핫스팟 - 마지막 신고 시각의 신고로 봄
+const reportedSpot = (reportCount, daysAgo, cleanups = []) => ({
+  id: 2,
+  name: '정릉시장 뒷골목',
+  lat: 37.603,
+  lng: 127.018,
+  reportCount,
+  wasteCounts: { general: reportCount },
+  lastReportAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+  cleanups
+});
+
+const cleanupAt = (id, reporter, hoursAgo) => ({
+  id, reporter, confirmedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+});
+
+const hotspot = (cleanups) => ({
+  id: 1,
+  lat: 37.602,
+  lng: 127.015,
+  reportCount: 0,
+  wasteCounts: {},
+  lastReportAt: null,
+  cleanups
+});
+
+describe('getCountedCleanups', () => {
+  it('같은 신고자의 확인은 창 안에서 한 번만 센다', () => {
+    const cleanups = [
+      cleanupAt('c', 'reporter-a', 1),
+      cleanupAt('a', 'reporter-a', 3),
+      cleanupAt('b', 'reporter-a', 2),
+      cleanupAt('d', 'reporter-b', 1)
+    ];
+    expect(getCountedCleanups(cleanups).map(cleanup => cleanup.id)).toEqual(['a', 'd']);
+  });
+
+  it('창이 지나면 같은 신고자의 확인도 다시 센다', () => {
+    const cleanups = [
+      cleanupAt('a', 'reporter-a', SEVERITY_CONFIG.cleanupWindowHours + 1),
+      cleanupAt('b', 'reporter-a', 0)
+    ];
+    expect(getCountedCleanups(cleanups).map(cleanup => cleanup.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('getDecayFactor', () => {
+  it('반감기마다 무게가 절반으로 줄고, 미래 시각은 그대로 센다', () => {
+    const halfLife = SEVERITY_CONFIG.halfLifeDays * DAY_MS;
+    expect(getDecayFactor(NOW, NOW)).toBe(1);
+    expect(getDecayFactor(NOW - halfLife, NOW)).toBeCloseTo(0.5, 10);
+    expect(getDecayFactor(NOW - 2 * halfLife, NOW)).toBeCloseTo(0.25, 10);
+    expect(getDecayFactor(NOW + DAY_MS, NOW)).toBe(1);
+  });
+});
+
+describe('getSeverityLevel', () => {
+  it('점수 구간별 단계', () => {
+    const { high, medium, low } = SEVERITY_CONFIG.thresholds;
+    expect(getSeverityLevel(high)).toBe('high');
+    expect(getSeverityLevel(high - 0.1)).toBe('medium');
+    expect(getSeverityLevel(medium)).toBe('medium');
+    expect(getSeverityLevel(medium - 0.1)).toBe('low');
+    expect(getSeverityLevel(low)).toBe('low');
+    expect(getSeverityLevel(low - 0.1)).toBe('clean');
+  });
+});
+
+describe('scoreHotspot', () => {
+  it('최근 신고는 그대로, 오래된 신고는 반감기에 따라 줄어든 점수로 센다', () => {
+    expect(scoreHotspot(reportedSpot(12, 0), [], NOW)).toEqual(expect.objectContaining({ score: 12, level: 'high' }));
+    // 12 × 0.5^(20/14) ≈ 4.5
+    expect(scoreHotspot(reportedSpot(12, 20), [], NOW)).toEqual(expect.objectContaining({ score: 4.5, level: 'medium' }));
+  });
+
+  it(`신고 없이 ${SEVERITY_CONFIG.quietDays}일이 지나면 점수가 남아 있어도 정리됨`, () => {
+    const result = scoreHotspot(reportedSpot(12, 31), [], NOW);
+    expect(result.score).toBeGreaterThan(SEVERITY_CONFIG.thresholds.low);
+    expect(result.level).toBe('clean');
+    expect(result.lastEvidenceAt).toBe(NOW - 31 * DAY_MS);
+  });
+
+  it('새 신고 기록이 들어오면 다시 위험도가 오른다', () => {
+    const reports = [0, 1, 2].map(i => ({
+      id: `report-${i}`,
+      hotspotId: 2,
+      lat: 37.603,
+      lng: 127.018,
+      category: 'general',
+      reportedAt: new Date(NOW - i * HOUR_MS).toISOString()
+    }));
+    // 예전 신고 12건(31일 전)은 baseline으로, 기록된 3건은 각자의 시각으로 셈
+    const spot = {
+      ...reportedSpot(15, 0),
+      baseline: {
+        lat: 37.603, lng: 127.018, reportCount: 12, wasteCounts: { general: 12 }, photoIds: [],
+        since: new Date(NOW - 31 * DAY_MS).toISOString()
+      }
+    };
+
+    const result = scoreHotspot(spot, reports, NOW);
+
+    expect(result.level).toBe('medium');
+    expect(result.lastEvidenceAt).toBe(NOW);
+  });
+
+  it('정리 완료 확인은 신고 점수를 깎는다', () => {
+    const before = scoreHotspot(reportedSpot(6, 0), [], NOW);
+    const after = scoreHotspot(reportedSpot(6, 0, [cleanupAt('a', 'reporter-a', 0)]), [], NOW);
+    expect(before.level).toBe('high');
+    expect(after.score).toBe(6 - SEVERITY_CONFIG.cleanupWeight);
+    expect(after.level).toBe('medium');
+  });
+
+  it('한 신고자가 반복한 정리 확인으로 점수를 더 낮추지 않는다', () => {
+    const reports = [1, 2, 3, 4, 5, 6, 7, 8].map(i => ({
+      id: `report-${i}`,
+      hotspotId: 1,
+      lat: 37.602,
+      lng: 127.015,
+      reportedAt: new Date(NOW - i * HOUR_MS).toISOString()
+    }));
+    const once = scoreHotspot(hotspot([cleanupAt('a', 'reporter-a', 0)]), reports, NOW);
+    const repeated = scoreHotspot(hotspot([
+      cleanupAt('a', 'reporter-a', 0.3),
+      cleanupAt('b', 'reporter-a', 0.2),
+      cleanupAt('c', 'reporter-a', 0.1)
+    ]), reports, NOW);
+    expect(repeated.score).toBeCloseTo(once.score, 1);
+  });
+});
+
+describe('canConfirmCleanup', () => {
+  it('최근에 확인한 신고자는 다시 확인할 수 없다', () => {
+    const spot = hotspot([cleanupAt('a', 'reporter-a', 2)]);
+    expect(canConfirmCleanup(spot, 'reporter-a', NOW)).toBe(false);
+    expect(canConfirmCleanup(spot, 'reporter-b', NOW)).toBe(true);
+    expect(canConfirmCleanup(spot, 'reporter-a', NOW + SEVERITY_CONFIG.cleanupWindowHours * HOUR_MS)).toBe(true);
+  });
+});
+
+describe('applySeverity', () => {
+  it('핫스팟마다 현재 점수와 단계를 채운다', () => {
+    const spots = [reportedSpot(12, 20), { ...reportedSpot(12, 31), id: 3 }];
+
+    const result = applySeverity(spots, [], NOW);
+
+    expect(result.map(({ id, severity, level }) => ({ id, severity, level }))).toEqual([
+      { id: 2, severity: 4.5, level: 'medium' },
+      { id: 3, severity: 2.6, level: 'clean' }
+    ]);
+    expect(result[0].name).toBe('정릉시장 뒷골목');
+  });
+});
@@ -3,8 +3,12 @@ import ReactDOM from 'react-dom/client';
 import './index.css'; // tailwind 설정된 파일
 import App from './App';
 import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { initStore } from './storage';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(<App />);
+// 저장된 게임 데이터를 불러온 뒤 렌더링
+initStore()
+  .catch(error => console.error('저장소 초기화 오류:', error))
+  .then(() => root.render(<App />));
 // PWA 활성화
-serviceWorkerRegistration.register();
\ No newline at end of file
+serviceWorkerRegistration.register();
@@ -0,0 +1,63 @@
+// 레벨 곡선
+// 레벨마다 필요한 포인트가 조금씩 늘어나도록 표로 정의합니다.
+// 레벨 표시, 진행 막대, 에코 히어로 배지는 모두 이 모듈로 레벨을 계산해야 합니다.
+
+const BASE_POINTS = 100; // 레벨 1 → 2에 필요한 포인트
+const GROWTH_PER_LEVEL = 20; // 레벨이 오를 때마다 늘어나는 필요 포인트
+
+// 레벨 구간별 칭호 (minLevel 이상이면 해당 칭호)
+const LEVEL_TITLES = [
+  { minLevel: 1, title: '새싹 지킴이' },
+  { minLevel: 3, title: '동네 청소부' },
+  { minLevel: 5, title: '재활용 탐험가' },
+  { minLevel: 7, title: '몬스터 헌터' },
+  { minLevel: 10, title: '에코 히어로' },
+  { minLevel: 15, title: '지구 수호자' }
+];
+
+// 레벨 도달 보상 - 표에 없는 레벨은 기본 보상
+const LEVEL_REWARDS = {
+  3: { points: 50, unlock: '몬스터 도감 힌트' },
+  5: { points: 100, unlock: '희귀 몬스터 출현 알림' },
+  10: { points: 300, unlock: '에코 히어로 칭호' },
+  15: { points: 500, unlock: '지구 수호자 칭호' }
+};
+const DEFAULT_LEVEL_REWARD = { points: 20, unlock: null };
+
+// 해당 레벨에 도달하는 데 필요한 누적 포인트
+export const getLevelThreshold = (level) => {
+  const steps = Math.max(level - 1, 0);
+  return steps * BASE_POINTS + (GROWTH_PER_LEVEL * steps * (steps - 1)) / 2;
+};
+
+// 포인트로 레벨 계산
+export const getLevel = (points) => {
+  let level = 1;
+  while (getLevelThreshold(level + 1) <= points) level++;
+  return level;
+};
+
+export const getLevelTitle = (level) => (
+  LEVEL_TITLES.filter(entry => level >= entry.minLevel).pop().title
+);
+
+export const getLevelReward = (level) => LEVEL_REWARDS[level] || DEFAULT_LEVEL_REWARD;
+
+// 화면 표시에 필요한 레벨 정보
+export const getLevelInfo = (points) => {
+  const level = getLevel(points);
+  const currentThreshold = getLevelThreshold(level);
+  const nextThreshold = getLevelThreshold(level + 1);
+  const pointsForLevel = nextThreshold - currentThreshold;
+  const pointsIntoLevel = points - currentThreshold;
+
+  return {
+    level,
+    title: getLevelTitle(level),
+    pointsIntoLevel,
+    pointsForLevel,
+    pointsToNext: nextThreshold - points,
+    progress: pointsIntoLevel / pointsForLevel,
+    nextReward: getLevelReward(level + 1)
+  };
+};
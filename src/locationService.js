@@ -0,0 +1,170 @@
+import { calculateDistance } from './geo';
+
+// 위치 서비스
+// watchPosition으로 위치를 계속 받아 현재 위치, 정확도, 시각, 권한 상태를 알려줍니다.
+// 포획 검증에 정확한 위치가 필요해 GPS는 고정밀(enableHighAccuracy)로 켜 두므로,
+// 배터리는 화면이 숨겨진 동안 watchPosition을 멈춰서 아낍니다.
+// 거의 움직이지 않은 위치를 건너뛰는 것은 GPS 사용량이 아니라 화면 갱신(렌더링)을 줄이기 위함입니다.
+// 실제 위치를 얻지 못하면 정릉3동 중심의 기본 위치를 쓰되 fallback으로 표시합니다.
+
+export const FALLBACK_LOCATION = { lat: 37.602, lng: 127.015 }; // 정릉3동 중심
+
+export const LOCATION_CONFIG = {
+  minIntervalMs: 5000, // 위치 갱신 최소 간격
+  minDistanceM: 5, // 이보다 적게 움직이면 갱신하지 않음
+  maxSilenceMs: 60 * 1000, // 움직이지 않아도 이 시간이 지나면 갱신 (시각 갱신용)
+  accuracyGainM: 10, // 정확도가 이만큼 좋아지면 움직이지 않아도 갱신
+  watchOptions: { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+};
+
+// 위치 상태
+//   status     - locating(찾는 중) | tracking(실제 위치) | fallback(기본 위치 사용 중)
+//   permission - granted | denied | prompt | unsupported | unknown
+export const INITIAL_LOCATION_STATE = {
+  position: null,
+  status: 'locating',
+  permission: 'unknown',
+  error: null
+};
+
+// Geolocation 위치를 앱에서 쓰는 위치 기록으로 변환
+export const toLocationFix = (position) => ({
+  lat: position.coords.latitude,
+  lng: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  timestamp: position.timestamp,
+  fallback: false,
+  simulated: Boolean(position.simulated) // 위치 시뮬레이터가 만든 위치 (locationSimulator.js)
+});
+
+export const createFallbackFix = (timestamp = Date.now()) => ({
+  ...FALLBACK_LOCATION,
+  accuracy: null,
+  timestamp,
+  fallback: true
+});
+
+// 새 위치를 반영할지 판단 (갱신 빈도 제한)
+export const shouldAcceptFix = (previous, fix, config = LOCATION_CONFIG) => {
+  if (!previous || previous.fallback) return true;
+  const elapsed = fix.timestamp - previous.timestamp;
+  if (elapsed < config.minIntervalMs) return false;
+
+  const movedM = calculateDistance(previous.lat, previous.lng, fix.lat, fix.lng) * 1000;
+  const accuracyGain = (previous.accuracy || 0) - (fix.accuracy || 0);
+  return movedM >= config.minDistanceM || elapsed >= config.maxSilenceMs || accuracyGain >= config.accuracyGainM;
+};
+
+const ERROR_MESSAGES = {
+  1: '위치 권한이 거부되었습니다',
+  2: '위치를 확인할 수 없습니다',
+  3: '위치 확인 시간이 초과되었습니다'
+};
+
+// 위치 서비스 생성 - start(onChange)로 시작하고 stop()으로 멈춥니다.
+// onChange는 상태가 바뀔 때마다 새 상태 객체를 받습니다.
+// 시작한 뒤에는 화면(visibility)이 숨겨지면 위치 감시를 멈췄다가 다시 보이면 이어갑니다.
+// geolocation, permissions, visibility, now를 바꿔 넣으면 실제 기기 없이도 동작을 재현할 수 있습니다.
+export const createLocationService = ({
+  geolocation = typeof navigator !== 'undefined' ? navigator.geolocation : undefined,
+  permissions = typeof navigator !== 'undefined' ? navigator.permissions : undefined,
+  visibility = typeof document !== 'undefined' ? document : undefined,
+  now = Date.now,
+  config = LOCATION_CONFIG
+} = {}) => {
+  let state = INITIAL_LOCATION_STATE;
+  let listener = null;
+  let started = false;
+  let watchId = null;
+  let permissionStatus = null;
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    if (listener) listener(state);
+  };
+
+  // 위치가 아직 없을 때만 기본 위치 사용 (이미 있으면 마지막 위치 유지)
+  const applyFallback = (error, permission = state.permission) => {
+    if (state.position) {
+      update({ error, permission });
+      return;
+    }
+    update({ position: createFallbackFix(now()), status: 'fallback', error, permission });
+  };
+
+  const handlePosition = (position) => {
+    const fix = toLocationFix(position);
+    if (!shouldAcceptFix(state.position, fix, config)) return;
+    update({
+      position: fix,
+      status: 'tracking',
+      error: null,
+      permission: state.permission === 'unsupported' ? state.permission : 'granted'
+    });
+  };
+
+  const handleError = (error) => {
+    console.error('위치 가져오기 오류:', error);
+    const message = ERROR_MESSAGES[error.code] || error.message;
+    applyFallback(message, error.code === 1 ? 'denied' : state.permission);
+  };
+
+  const watchPermission = async () => {
+    if (!permissions || !permissions.query) return;
+    try {
+      permissionStatus = await permissions.query({ name: 'geolocation' });
+      update({ permission: permissionStatus.state });
+      permissionStatus.onchange = () => update({ permission: permissionStatus.state });
+    } catch (error) {
+      // 권한 API가 geolocation을 지원하지 않는 브라우저 - 위치 결과로만 판단
+    }
+  };
+
+  const isHidden = () => Boolean(visibility) && visibility.visibilityState === 'hidden';
+
+  const startWatch = () => {
+    if (watchId !== null) return;
+    watchId = geolocation.watchPosition(handlePosition, handleError, config.watchOptions);
+  };
+
+  const stopWatch = () => {
+    if (watchId !== null) geolocation.clearWatch(watchId);
+    watchId = null;
+  };
+
+  // 화면이 숨겨진 동안에는 GPS를 끔
+  const handleVisibilityChange = () => {
+    if (isHidden()) stopWatch();
+    else startWatch();
+  };
+
+  return {
+    getState: () => state,
+
+    // 위치 감시 중인지 (화면이 숨겨져 멈춘 동안은 false)
+    isWatching: () => watchId !== null,
+
+    start: (onChange) => {
+      listener = onChange;
+      if (started) return;
+      if (!geolocation) {
+        console.error('이 브라우저는 위치 정보를 지원하지 않습니다');
+        applyFallback('이 브라우저는 위치 정보를 지원하지 않습니다', 'unsupported');
+        return;
+      }
+      started = true;
+      watchPermission();
+      if (visibility) visibility.addEventListener('visibilitychange', handleVisibilityChange);
+      if (!isHidden()) startWatch();
+    },
+
+    stop: () => {
+      if (!started) return;
+      started = false;
+      stopWatch();
+      if (visibility) visibility.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (permissionStatus) permissionStatus.onchange = null;
+      permissionStatus = null;
+    }
+  };
+};
@@ -0,0 +1,134 @@
+import { LOCATION_CONFIG, createLocationService, shouldAcceptFix } from './locationService';
+
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+const SECOND_MS = 1000;
+
+// 북쪽으로 meters만큼 떨어진 위치 (위도 1도 ≈ 111km)
+const position = ({ meters = 0, accuracy = 10, at = 0 } = {}) => ({
+  coords: { latitude: 37.6 + meters / 111000, longitude: 127.0, accuracy },
+  timestamp: NOW + at
+});
+
+// watchPosition 대역 - 마지막으로 등록된 콜백으로 위치를 보냄
+const createFakeGeolocation = () => {
+  let nextId = 1;
+  const watches = new Map();
+  return {
+    watchPosition: jest.fn((onSuccess, onError) => {
+      const id = nextId++;
+      watches.set(id, { onSuccess, onError });
+      return id;
+    }),
+    clearWatch: jest.fn(id => watches.delete(id)),
+    emit: (value) => watches.forEach(({ onSuccess }) => onSuccess(value)),
+    fail: (error) => watches.forEach(({ onError }) => onError(error)),
+    activeWatches: () => watches.size
+  };
+};
+
+const createFakeVisibility = (state = 'visible') => {
+  const target = new EventTarget();
+  target.visibilityState = state;
+  target.setState = (next) => {
+    target.visibilityState = next;
+    target.dispatchEvent(new Event('visibilitychange'));
+  };
+  return target;
+};
+
+const setup = ({ visibilityState } = {}) => {
+  const geolocation = createFakeGeolocation();
+  const visibility = createFakeVisibility(visibilityState);
+  const service = createLocationService({ geolocation, permissions: undefined, visibility, now: () => NOW });
+  const onChange = jest.fn();
+  return { geolocation, visibility, service, onChange };
+};
+
+describe('shouldAcceptFix', () => {
+  const fix = (overrides) => ({ lat: 37.6, lng: 127.0, accuracy: 10, timestamp: NOW, fallback: false, ...overrides });
+
+  it('최소 간격 안의 위치는 건너뛴다', () => {
+    expect(shouldAcceptFix(fix(), fix({ lat: 37.61, timestamp: NOW + LOCATION_CONFIG.minIntervalMs - 1 }))).toBe(false);
+  });
+
+  it('움직였거나, 오래 조용했거나, 정확도가 좋아졌으면 받는다', () => {
+    const later = NOW + LOCATION_CONFIG.minIntervalMs;
+    expect(shouldAcceptFix(fix(), fix({ timestamp: later }))).toBe(false);
+    expect(shouldAcceptFix(fix(), fix({ lat: 37.6001, timestamp: later }))).toBe(true);
+    expect(shouldAcceptFix(fix(), fix({ timestamp: NOW + LOCATION_CONFIG.maxSilenceMs }))).toBe(true);
+    expect(shouldAcceptFix(fix({ accuracy: 30 }), fix({ accuracy: 20, timestamp: later }))).toBe(true);
+  });
+
+  it('기본 위치 다음의 실제 위치는 바로 받는다', () => {
+    expect(shouldAcceptFix(fix({ fallback: true }), fix())).toBe(true);
+  });
+});
+
+describe('createLocationService', () => {
+  it('자주 오는 위치 중 간격과 이동 거리를 넘는 것만 알린다', () => {
+    const { geolocation, service, onChange } = setup();
+    service.start(onChange);
+
+    geolocation.emit(position());
+    geolocation.emit(position({ meters: 20, at: 1 * SECOND_MS })); // 간격 부족
+    geolocation.emit(position({ meters: 2, at: 6 * SECOND_MS })); // 거의 안 움직임
+    geolocation.emit(position({ meters: 20, at: 7 * SECOND_MS }));
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(service.getState()).toEqual(expect.objectContaining({ status: 'tracking', permission: 'granted' }));
+    expect(service.getState().position.timestamp).toBe(NOW + 7 * SECOND_MS);
+  });
+
+  it('화면이 숨겨지면 위치 감시를 멈추고 다시 보이면 이어간다', () => {
+    const { geolocation, visibility, service, onChange } = setup();
+    service.start(onChange);
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(1);
+    expect(geolocation.watchPosition).toHaveBeenCalledWith(expect.any(Function), expect.any(Function), LOCATION_CONFIG.watchOptions);
+
+    visibility.setState('hidden');
+    expect(service.isWatching()).toBe(false);
+    expect(geolocation.activeWatches()).toBe(0);
+
+    visibility.setState('visible');
+    expect(service.isWatching()).toBe(true);
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(2);
+
+    geolocation.emit(position());
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ status: 'tracking' }));
+  });
+
+  it('숨겨진 화면에서 시작하면 보일 때까지 기다린다', () => {
+    const { geolocation, visibility, service, onChange } = setup({ visibilityState: 'hidden' });
+    service.start(onChange);
+    expect(geolocation.watchPosition).not.toHaveBeenCalled();
+
+    visibility.setState('visible');
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(1);
+  });
+
+  it('멈춘 뒤에는 화면이 다시 보여도 감시하지 않는다', () => {
+    const { geolocation, visibility, service, onChange } = setup();
+    service.start(onChange);
+
+    service.stop();
+    visibility.setState('hidden');
+    visibility.setState('visible');
+
+    expect(geolocation.watchPosition).toHaveBeenCalledTimes(1);
+    expect(geolocation.activeWatches()).toBe(0);
+  });
+
+  it('권한이 거부되면 기본 위치를 쓰고 fallback으로 표시한다', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { geolocation, service, onChange } = setup();
+    service.start(onChange);
+
+    geolocation.fail({ code: 1, message: 'denied' });
+
+    expect(service.getState()).toEqual(expect.objectContaining({
+      status: 'fallback', permission: 'denied', error: '위치 권한이 거부되었습니다'
+    }));
+    expect(service.getState().position).toEqual(expect.objectContaining({ fallback: true, timestamp: NOW }));
+    error.mockRestore();
+  });
+});
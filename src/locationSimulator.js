@@ -0,0 +1,232 @@
+import { calculateDistance } from './geo';
+
+// 위치 시뮬레이터
+// GPX나 GeoJSON LineString 경로를 정해진 속도로 따라가며 위치를 내보내는 가짜 Geolocation입니다.
+// navigator.geolocation과 같은 watchPosition/clearWatch/getCurrentPosition을 제공하므로
+// 위치 서비스(locationService.js)에 그대로 넣어 쓰고, Jest에서는 가짜 타이머로 재생할 수 있습니다.
+// 시뮬레이터가 만든 위치에는 simulated 표시가 붙어 포획 검증에서 구분됩니다.
+
+export const SIMULATOR_CONFIG = {
+  speedKmh: 5, // 기본 재생 속도 (걷는 속도)
+  tickMs: 1000, // 위치를 내보내는 간격
+  accuracy: 5, // 시뮬레이션 위치의 정확도 (m)
+  loop: true // 경로 끝에 도달하면 처음부터 다시
+};
+
+// 정릉3동 핫스팟을 한 바퀴 도는 예시 경로 (GeoJSON LineString)
+export const SAMPLE_ROUTE = {
+  type: 'LineString',
+  coordinates: [
+    [127.015, 37.602], // 배밭골 원룸촌 입구
+    [127.013, 37.601], // 대학가 상점 거리
+    [127.014, 37.605], // 정릉동 공원
+    [127.017, 37.604], // 정릉초등학교 앞
+    [127.018, 37.603], // 정릉시장 뒷골목
+    [127.015, 37.602]
+  ]
+};
+
+// 경로 형식이 올바르지 않을 때 던지는 오류
+export class RouteParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouteParseError';
+  }
+}
+
+const readAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? Number(match[1]) : NaN;
+};
+
+// GPX 문자열에서 트랙/경로/웨이포인트 좌표 읽기
+const parseGpx = (text) => {
+  const findPoints = (tagName) => (text.match(new RegExp(`<${tagName}\\b[^>]*>`, 'g')) || [])
+    .map(tag => ({ lat: readAttribute(tag, 'lat'), lng: readAttribute(tag, 'lon') }));
+  const points = [findPoints('trkpt'), findPoints('rtept'), findPoints('wpt')].find(list => list.length > 0);
+  return points || [];
+};
+
+// GeoJSON에서 첫 번째 LineString 좌표 읽기 (좌표 순서는 [경도, 위도])
+const parseGeoJson = (geojson) => {
+  const findLineString = (node) => {
+    if (!node) return null;
+    if (node.type === 'LineString') return node.coordinates;
+    if (node.type === 'Feature') return findLineString(node.geometry);
+    if (node.type === 'FeatureCollection') {
+      for (const feature of node.features || []) {
+        const found = findLineString(feature);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  return (findLineString(geojson) || []).map(([lng, lat]) => ({ lat, lng }));
+};
+
+// 경로 읽기 - GPX 문자열, GeoJSON 문자열 또는 객체를 받아 구간 거리가 계산된 경로 반환
+export const parseRoute = (input) => {
+  let points;
+  if (typeof input === 'string' && input.trim().startsWith('<')) {
+    points = parseGpx(input);
+  } else {
+    let geojson = input;
+    if (typeof input === 'string') {
+      try {
+        geojson = JSON.parse(input);
+      } catch (error) {
+        throw new RouteParseError('GPX 또는 GeoJSON 형식이 아닙니다');
+      }
+    }
+    points = parseGeoJson(geojson);
+  }
+
+  points = points.filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+  if (points.length < 2) throw new RouteParseError('경로에는 좌표가 2개 이상 필요합니다');
+
+  // 각 지점까지의 누적 거리 (km)
+  let total = 0;
+  const withDistance = points.map((point, i) => {
+    if (i > 0) total += calculateDistance(points[i - 1].lat, points[i - 1].lng, point.lat, point.lng);
+    return { ...point, distanceKm: total };
+  });
+  return { points: withDistance, lengthKm: total };
+};
+
+// 경로 시작점에서 distanceKm만큼 간 위치 (구간 안에서는 직선 보간)
+export const getPositionAlongRoute = (route, distanceKm) => {
+  const { points } = route;
+  if (distanceKm <= 0) return { lat: points[0].lat, lng: points[0].lng };
+  for (let i = 1; i < points.length; i++) {
+    if (distanceKm <= points[i].distanceKm) {
+      const from = points[i - 1];
+      const to = points[i];
+      const span = to.distanceKm - from.distanceKm;
+      const ratio = span === 0 ? 0 : (distanceKm - from.distanceKm) / span;
+      return {
+        lat: from.lat + (to.lat - from.lat) * ratio,
+        lng: from.lng + (to.lng - from.lng) * ratio
+      };
+    }
+  }
+  const last = points[points.length - 1];
+  return { lat: last.lat, lng: last.lng };
+};
+
+// 시뮬레이터 생성 - Geolocation API와 재생 조작 함수를 함께 반환
+export const createLocationSimulator = ({
+  route,
+  speedKmh = SIMULATOR_CONFIG.speedKmh,
+  tickMs = SIMULATOR_CONFIG.tickMs,
+  accuracy = SIMULATOR_CONFIG.accuracy,
+  loop = SIMULATOR_CONFIG.loop,
+  now = Date.now
+}) => {
+  const parsed = route.points ? route : parseRoute(route);
+  const watchers = new Map(); // watch id → 성공 콜백
+  let nextWatchId = 1;
+  let timer = null;
+  let travelledKm = 0;
+  let lastTick = now();
+  let speed = speedKmh;
+  let playing = true;
+
+  // 마지막 갱신 이후 흐른 시간만큼 경로를 따라 이동
+  const advance = () => {
+    const current = now();
+    if (playing) {
+      travelledKm += (speed * (current - lastTick)) / 3600000;
+      if (travelledKm > parsed.lengthKm) {
+        travelledKm = loop && parsed.lengthKm > 0 ? travelledKm % parsed.lengthKm : parsed.lengthKm;
+      }
+    }
+    lastTick = current;
+  };
+
+  const createPosition = () => {
+    const { lat, lng } = getPositionAlongRoute(parsed, travelledKm);
+    return {
+      coords: { latitude: lat, longitude: lng, accuracy, altitude: null, heading: null, speed: null },
+      timestamp: lastTick,
+      simulated: true
+    };
+  };
+
+  const emit = () => {
+    advance();
+    const position = createPosition();
+    watchers.forEach(callback => callback(position));
+  };
+
+  const ensureTimer = () => {
+    if (timer === null && watchers.size > 0) timer = setInterval(emit, tickMs);
+  };
+
+  const stopTimerIfIdle = () => {
+    if (timer !== null && watchers.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    route: parsed,
+
+    // Geolocation API
+    getCurrentPosition: (success) => {
+      advance();
+      setTimeout(() => success(createPosition()), 0);
+    },
+
+    watchPosition: (success) => {
+      const id = nextWatchId++;
+      watchers.set(id, success);
+      ensureTimer();
+      setTimeout(() => {
+        if (watchers.has(id)) {
+          advance();
+          success(createPosition());
+        }
+      }, 0);
+      return id;
+    },
+
+    clearWatch: (id) => {
+      watchers.delete(id);
+      stopTimerIfIdle();
+    },
+
+    // 재생 조작
+    setSpeed: (kmh) => {
+      advance();
+      speed = Math.max(kmh, 0);
+    },
+    pause: () => {
+      advance();
+      playing = false;
+    },
+    resume: () => {
+      advance();
+      playing = true;
+    },
+    // 경로 진행률(0~1)로 이동
+    seek: (progress) => {
+      advance();
+      travelledKm = Math.min(Math.max(progress, 0), 1) * parsed.lengthKm;
+    },
+    getStatus: () => {
+      advance();
+      return {
+        playing,
+        speedKmh: speed,
+        progress: parsed.lengthKm > 0 ? travelledKm / parsed.lengthKm : 0,
+        position: getPositionAlongRoute(parsed, travelledKm)
+      };
+    },
+    // 모든 watch와 타이머 정리
+    dispose: () => {
+      watchers.clear();
+      stopTimerIfIdle();
+    }
+  };
+};
@@ -0,0 +1,100 @@
+import { calculateDistance } from './geo';
+import { RouteParseError, createLocationSimulator, parseRoute } from './locationSimulator';
+
+// 북쪽으로 곧게 뻗은 약 1.1km 경로
+const ROUTE = { type: 'LineString', coordinates: [[127.0, 37.6], [127.0, 37.61]] };
+const METERS_PER_SECOND = 3.6; // km/h - 1초에 1m
+
+const distanceFromStartM = ({ coords }) => calculateDistance(37.6, 127.0, coords.latitude, coords.longitude) * 1000;
+
+describe('parseRoute', () => {
+  it('GPX 트랙 좌표를 읽는다', () => {
+    const gpx = '<gpx><trk><trkseg><trkpt lat="37.6" lon="127.0"/><trkpt lat="37.61" lon="127.0"/></trkseg></trk></gpx>';
+    const route = parseRoute(gpx);
+    expect(route.points.map(({ lat, lng }) => [lat, lng])).toEqual([[37.6, 127.0], [37.61, 127.0]]);
+    expect(route.lengthKm).toBeCloseTo(parseRoute(ROUTE).lengthKm, 6);
+  });
+
+  it('좌표가 모자라면 RouteParseError', () => {
+    expect(() => parseRoute({ type: 'LineString', coordinates: [[127.0, 37.6]] })).toThrow(RouteParseError);
+    expect(() => parseRoute('not a route')).toThrow(RouteParseError);
+  });
+});
+
+describe('createLocationSimulator', () => {
+  let simulator;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.parse('2026-03-02T09:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    if (simulator) simulator.dispose();
+    simulator = null;
+    jest.useRealTimers();
+  });
+
+  it('watchPosition은 곧바로 한 번, 이후 tick마다 경로를 따라 이동한 위치를 보낸다', () => {
+    simulator = createLocationSimulator({ route: ROUTE, speedKmh: METERS_PER_SECOND });
+    const positions = [];
+    simulator.watchPosition(position => positions.push(position));
+
+    jest.advanceTimersByTime(0);
+    expect(positions).toHaveLength(1);
+    expect(distanceFromStartM(positions[0])).toBeCloseTo(0, 6);
+    expect(positions[0]).toEqual(expect.objectContaining({ simulated: true }));
+    expect(positions[0].coords.accuracy).toBe(5);
+
+    jest.advanceTimersByTime(10000);
+    expect(positions).toHaveLength(11);
+    expect(distanceFromStartM(positions[10])).toBeCloseTo(10, 3);
+    expect(positions[10].timestamp).toBe(Date.now());
+  });
+
+  it('일시정지한 동안은 움직이지 않고, 속도를 바꾸면 그때부터 반영된다', () => {
+    simulator = createLocationSimulator({ route: ROUTE, speedKmh: METERS_PER_SECOND });
+
+    jest.advanceTimersByTime(5000);
+    simulator.pause();
+    jest.advanceTimersByTime(60000);
+    expect(simulator.getStatus().playing).toBe(false);
+    expect(simulator.getStatus().progress * simulator.route.lengthKm * 1000).toBeCloseTo(5, 3);
+
+    simulator.resume();
+    simulator.setSpeed(METERS_PER_SECOND * 2);
+    jest.advanceTimersByTime(5000);
+    expect(simulator.getStatus().progress * simulator.route.lengthKm * 1000).toBeCloseTo(15, 3);
+  });
+
+  it('경로 끝에 도달하면 loop면 처음부터, 아니면 끝에 멈춘다', () => {
+    simulator = createLocationSimulator({ route: ROUTE, speedKmh: METERS_PER_SECOND });
+    const stopping = createLocationSimulator({ route: ROUTE, speedKmh: METERS_PER_SECOND, loop: false });
+    const lengthM = simulator.route.lengthKm * 1000;
+
+    simulator.seek(1);
+    stopping.seek(1);
+    jest.advanceTimersByTime(20000);
+
+    expect(simulator.getStatus().progress * lengthM).toBeCloseTo(20, 3);
+    expect(stopping.getStatus().progress).toBe(1);
+    stopping.dispose();
+  });
+
+  it('모든 watch를 해제하면 타이머를 멈춘다', () => {
+    simulator = createLocationSimulator({ route: ROUTE });
+    const callback = jest.fn();
+    const first = simulator.watchPosition(callback);
+    const second = simulator.watchPosition(callback);
+    jest.advanceTimersByTime(0);
+
+    simulator.clearWatch(first);
+    expect(jest.getTimerCount()).toBe(1);
+    simulator.clearWatch(second);
+    expect(jest.getTimerCount()).toBe(0);
+
+    callback.mockClear();
+    jest.advanceTimersByTime(5000);
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+import { calculateDistance } from './geo';
+
+// 미션 조건 매칭
+// 미션은 코드가 아닌 데이터로 조건(criteria)을 가지며, 게임 이벤트가 들어올 때마다
+// 이 매처가 조건을 평가해 진행도를 올릴지 결정합니다.
+//
+// criteria 형식 (event 외에는 모두 선택)
+//   event       - 게임 이벤트 종류 (예: 'MONSTER_CAPTURED')
+//   monsterType - 몬스터 타입 또는 타입 목록 (예: '유리', ['플라스틱', '금속'])
+//   rarity      - 희귀도 또는 희귀도 목록 ('common', 'uncommon', 'rare')
+//   near        - { lat, lng, radiusKm } 이 반경 안에서 일어난 이벤트만
+//   timeWindow  - { from, until } 기간(ISO 문자열) 및/또는 { startHour, endHour } 시간대(0-24)
+
+const matchesOneOf = (expected, actual) => {
+  if (expected === undefined) return true;
+  return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+};
+
+// 이벤트가 일어난 위치 - 명시된 위치가 없으면 포획한 몬스터의 위치 사용
+export const getEventLocation = (event) => {
+  if (event.location && typeof event.location.lat === 'number') return event.location;
+  if (event.monster && typeof event.monster.lat === 'number') {
+    return { lat: event.monster.lat, lng: event.monster.lng };
+  }
+  return null;
+};
+
+const matchesNear = (near, event) => {
+  if (!near) return true;
+  const location = getEventLocation(event);
+  if (!location) return false;
+  return calculateDistance(near.lat, near.lng, location.lat, location.lng) <= near.radiusKm;
+};
+
+const matchesTimeWindow = (timeWindow, time) => {
+  if (!timeWindow) return true;
+  const date = new Date(time);
+
+  if (timeWindow.from && date < new Date(timeWindow.from)) return false;
+  if (timeWindow.until && date > new Date(timeWindow.until)) return false;
+
+  if (timeWindow.startHour !== undefined && timeWindow.endHour !== undefined) {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    const { startHour, endHour } = timeWindow;
+    // 22시~6시처럼 자정을 넘는 시간대도 지원
+    const inWindow = startHour <= endHour
+      ? hour >= startHour && hour < endHour
+      : hour >= startHour || hour < endHour;
+    if (!inWindow) return false;
+  }
+  return true;
+};
+
+// 조건이 이벤트와 맞는지 평가
+// time은 이벤트가 일어난 시각이며, 이벤트에 at 값이 있으면 그것을 우선합니다.
+export const matchesCriteria = (criteria, event, time = Date.now()) => {
+  if (!criteria || criteria.event !== event.type) return false;
+
+  const monster = event.monster || {};
+  return matchesOneOf(criteria.monsterType, monster.type) &&
+    matchesOneOf(criteria.rarity, monster.rarity) &&
+    matchesNear(criteria.near, event) &&
+    matchesTimeWindow(criteria.timeWindow, event.at !== undefined ? event.at : time);
+};
@@ -0,0 +1,74 @@
+import { MISSION_DEFINITIONS, createMission } from './missions';
+import { createRandom, shuffle } from './random';
+
+// 일일/주간 미션 교체 스케줄러
+// 일일 미션은 한국 시간 자정, 주간 미션은 월요일 자정에 새로 뽑습니다.
+// 각 미션은 자기가 속한 기간(period)을 갖고 있어서, 앱이 며칠 동안 닫혀 있었더라도
+// 다음 실행 때 현재 기간과 비교해 한 번에 따라잡습니다.
+
+const SEOUL_OFFSET_MS = 9 * 60 * 60 * 1000; // Asia/Seoul은 일광절약시간이 없는 UTC+9
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MISSION_COUNTS = {
+  daily: 2,
+  weekly: 2
+};
+
+// 한국 시간 기준 날짜 (UTC 메서드로 읽어야 함)
+const toSeoulDate = (time) => new Date(time + SEOUL_OFFSET_MS);
+
+const formatDateKey = (date) => date.toISOString().slice(0, 10);
+
+// 일일 미션 기간 키 - 한국 시간 기준 'YYYY-MM-DD'
+export const getDailyPeriod = (time) => formatDateKey(toSeoulDate(time));
+
+// 주간 미션 기간 키 - 그 주 월요일의 'YYYY-MM-DD'
+export const getWeeklyPeriod = (time) => {
+  const date = toSeoulDate(time);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return formatDateKey(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+};
+
+export const getPeriod = (type, time) => (
+  type === 'weekly' ? getWeeklyPeriod(time) : getDailyPeriod(time)
+);
+
+// 다음 교체 시각(한국 시간 자정)까지 남은 시간 (ms)
+export const msUntilNextReset = (time) => {
+  const seoulTime = time + SEOUL_OFFSET_MS;
+  return DAY_MS - (seoulTime % DAY_MS);
+};
+
+// 풀에서 미션 뽑기 - 같은 기간이면 어느 탭/기기에서든 같은 결과가 나오도록 기간 키를 시드로 사용
+// 직전 기간의 미션은 풀이 충분하면 다시 뽑지 않습니다.
+export const drawMissions = (type, period, previousIds = [], pool = MISSION_DEFINITIONS) => {
+  const candidates = pool.filter(definition => definition.type === type);
+  const random = createRandom(`${type}:${period}`);
+  const fresh = shuffle(candidates.filter(d => !previousIds.includes(d.id)), random);
+  const repeated = shuffle(candidates.filter(d => previousIds.includes(d.id)), random);
+
+  return [...fresh, ...repeated]
+    .slice(0, MISSION_COUNTS[type])
+    .map(definition => createMission(definition, period));
+};
+
+// 기간이 지난 미션을 교체한 목록 반환 (바뀐 것이 없으면 같은 배열을 그대로 반환)
+export const rotateMissions = (missions, time = Date.now(), pool = MISSION_DEFINITIONS) => {
+  let rotated = missions;
+
+  Object.keys(MISSION_COUNTS).forEach(type => {
+    const period = getPeriod(type, time);
+    const ofType = rotated.filter(mission => mission.type === type);
+    const current = ofType.filter(mission => mission.period === period);
+    if (current.length > 0 && current.length === ofType.length) return;
+
+    // 현재 기간의 미션이 이미 있으면 유지하고, 지난 기간 것만 정리
+    // (다른 탭에서 병합되어 들어온 지난 미션도 여기서 걸러집니다)
+    const replacement = current.length > 0
+      ? current
+      : drawMissions(type, period, ofType.map(mission => mission.definitionId || mission.id), pool);
+    rotated = [...rotated.filter(mission => mission.type !== type), ...replacement];
+  });
+
+  return rotated;
+};
@@ -0,0 +1,96 @@
+import {
+  MISSION_COUNTS, drawMissions, getDailyPeriod, getWeeklyPeriod, msUntilNextReset, rotateMissions
+} from './missionScheduler';
+
+// 2026-03-02는 월요일, 한국 시간 자정은 전날 15:00Z
+const SUNDAY_LAST_MINUTE = Date.parse('2026-03-01T14:59:00.000Z'); // 3/1(일) 23:59 KST
+const MONDAY_MIDNIGHT = Date.parse('2026-03-01T15:00:00.000Z'); // 3/2(월) 00:00 KST
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const definition = (id, type) => ({ id, type, title: id, total: 1, reward: 10 });
+const POOL = [
+  definition('d1', 'daily'), definition('d2', 'daily'), definition('d3', 'daily'), definition('d4', 'daily'),
+  definition('w1', 'weekly'), definition('w2', 'weekly'), definition('w3', 'weekly'), definition('w4', 'weekly')
+];
+
+const definitionIds = (missions, type) => missions
+  .filter(mission => mission.type === type)
+  .map(mission => mission.definitionId)
+  .sort();
+
+describe('기간 키', () => {
+  it('한국 시간 자정(15:00Z)에 일일 기간이 바뀐다', () => {
+    expect(getDailyPeriod(SUNDAY_LAST_MINUTE)).toBe('2026-03-01');
+    expect(getDailyPeriod(MONDAY_MIDNIGHT - 1)).toBe('2026-03-01');
+    expect(getDailyPeriod(MONDAY_MIDNIGHT)).toBe('2026-03-02');
+    expect(msUntilNextReset(SUNDAY_LAST_MINUTE)).toBe(60 * 1000);
+  });
+
+  it('주간 기간은 한국 시간 월요일 자정에 바뀐다', () => {
+    expect(getWeeklyPeriod(SUNDAY_LAST_MINUTE)).toBe('2026-02-23');
+    expect(getWeeklyPeriod(MONDAY_MIDNIGHT)).toBe('2026-03-02');
+    expect(getWeeklyPeriod(MONDAY_MIDNIGHT + 6 * DAY_MS + DAY_MS - 1)).toBe('2026-03-02');
+  });
+});
+
+describe('rotateMissions', () => {
+  const startOfWeek = rotateMissions([], MONDAY_MIDNIGHT, POOL);
+
+  it('빈 목록이면 현재 기간의 미션을 뽑는다', () => {
+    expect(definitionIds(startOfWeek, 'daily')).toHaveLength(MISSION_COUNTS.daily);
+    expect(definitionIds(startOfWeek, 'weekly')).toHaveLength(MISSION_COUNTS.weekly);
+    expect(startOfWeek.every(mission => mission.progress === 0 && !mission.completed)).toBe(true);
+  });
+
+  it('같은 기간이면 바꾸지 않고 같은 배열을 돌려준다', () => {
+    expect(rotateMissions(startOfWeek, MONDAY_MIDNIGHT + DAY_MS - 1, POOL)).toBe(startOfWeek);
+  });
+
+  it('자정이 지나면 일일 미션만 직전 미션을 빼고 새로 뽑는다', () => {
+    const nextDay = rotateMissions(startOfWeek, MONDAY_MIDNIGHT + DAY_MS, POOL);
+
+    const previous = definitionIds(startOfWeek, 'daily');
+    const daily = nextDay.filter(mission => mission.type === 'daily');
+    expect(daily.every(mission => mission.period === '2026-03-03')).toBe(true);
+    expect(definitionIds(nextDay, 'daily').filter(id => previous.includes(id))).toEqual([]);
+    expect(nextDay.filter(mission => mission.type === 'weekly')).toEqual(startOfWeek.filter(mission => mission.type === 'weekly'));
+  });
+
+  it('며칠 동안 닫혀 있었어도 한 번에 현재 기간으로 따라잡는다', () => {
+    const now = MONDAY_MIDNIGHT + 4 * DAY_MS + 10 * 60 * 60 * 1000; // 3/6(금) 10:00 KST
+
+    const caughtUp = rotateMissions(startOfWeek, now, POOL);
+
+    const daily = caughtUp.filter(mission => mission.type === 'daily');
+    expect(daily).toHaveLength(MISSION_COUNTS.daily);
+    expect(daily.every(mission => mission.period === '2026-03-06')).toBe(true);
+    expect(definitionIds(caughtUp, 'daily').filter(id => definitionIds(startOfWeek, 'daily').includes(id))).toEqual([]);
+    // 따라잡은 결과는 그 기간에 처음 뽑은 결과와 같음 (다른 탭과 일치)
+    expect(rotateMissions(caughtUp, now, POOL)).toBe(caughtUp);
+    expect(caughtUp).toEqual(rotateMissions(startOfWeek, now + 60 * 1000, POOL));
+  });
+
+  it('월요일 자정에는 주간 미션도 직전 주 미션을 빼고 새로 뽑는다', () => {
+    const lastWeek = rotateMissions([], SUNDAY_LAST_MINUTE, POOL);
+
+    const thisWeek = rotateMissions(lastWeek, MONDAY_MIDNIGHT, POOL);
+
+    expect(thisWeek.filter(mission => mission.type === 'weekly').every(mission => mission.period === '2026-03-02')).toBe(true);
+    expect(definitionIds(thisWeek, 'weekly').filter(id => definitionIds(lastWeek, 'weekly').includes(id))).toEqual([]);
+  });
+
+  it('지난 기간 미션이 다른 탭에서 섞여 들어와도 현재 기간 미션만 남긴다', () => {
+    const nextDay = rotateMissions(startOfWeek, MONDAY_MIDNIGHT + DAY_MS, POOL);
+    const merged = [...startOfWeek.filter(mission => mission.type === 'daily'), ...nextDay];
+
+    expect(rotateMissions(merged, MONDAY_MIDNIGHT + DAY_MS, POOL)).toEqual(nextDay);
+  });
+});
+
+describe('drawMissions', () => {
+  it('풀이 모자라면 직전 미션을 다시 뽑아 개수를 채운다', () => {
+    const missions = drawMissions('daily', '2026-03-02', ['d1', 'd2', 'd3'], POOL);
+    expect(missions.map(mission => mission.definitionId)).toContain('d4');
+    expect(missions).toHaveLength(MISSION_COUNTS.daily);
+  });
+});
@@ -0,0 +1,119 @@
+import { GAME_EVENTS } from './gameEngine';
+
+// 미션 정의 (일일/주간 미션 풀)
+// 새 미션은 이 목록에 데이터로 추가하면 됩니다. 진행 조건은 criteria로 적고
+// (형식은 missionCriteria.js 참고) 포획/신고 처리 코드는 고칠 필요가 없습니다.
+// 매일/매주 이 풀에서 missionScheduler가 미션을 뽑아 교체합니다.
+
+export const MISSION_DEFINITIONS = [
+  {
+    id: 1,
+    title: '플라스틱 몬스터 3마리 포획하기',
+    type: 'daily',
+    reward: 150,
+    total: 3,
+    criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, monsterType: '플라스틱' }
+  },
+  {
+    id: 2,
+    title: '무단투기 핫스팟 신고하기',
+    type: 'daily',
+    reward: 100,
+    total: 1,
+    criteria: { event: GAME_EVENTS.DUMPING_REPORTED }
+  },
+  {
+    id: 3,
+    title: '친구 3명 초대하기',
+    type: 'weekly',
+    reward: 300,
+    total: 3,
+    criteria: { event: GAME_EVENTS.FRIEND_INVITED }
+  },
+  {
+    id: 4,
+    title: '커뮤니티 활동 참여하기',
+    type: 'weekly',
+    reward: 250,
+    total: 1,
+    criteria: { event: GAME_EVENTS.EVENT_JOINED }
+  },
+  {
+    id: 5,
+    title: '정릉천 근처 유리 몬스터 2마리 포획하기',
+    type: 'weekly',
+    reward: 200,
+    total: 2,
+    criteria: {
+      event: GAME_EVENTS.MONSTER_CAPTURED,
+      monsterType: '유리',
+      near: { lat: 37.6045, lng: 127.0205, radiusKm: 0.8 }
+    }
+  },
+  {
+    id: 6,
+    title: '종이 몬스터 2마리 포획하기',
+    type: 'daily',
+    reward: 100,
+    total: 2,
+    criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, monsterType: '종이' }
+  },
+  {
+    id: 7,
+    title: '금속 몬스터 포획하기',
+    type: 'daily',
+    reward: 80,
+    total: 1,
+    criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, monsterType: '금속' }
+  },
+  {
+    id: 8,
+    title: '희귀 몬스터 포획하기',
+    type: 'daily',
+    reward: 150,
+    total: 1,
+    criteria: { event: GAME_EVENTS.MONSTER_CAPTURED, rarity: ['uncommon', 'rare'] }
+  },
+  {
+    id: 9,
+    title: '무단투기 3회 신고하기',
+    type: 'weekly',
+    reward: 300,
+    total: 3,
+    criteria: { event: GAME_EVENTS.DUMPING_REPORTED }
+  }
+];
+
+// 정의로부터 특정 기간(period)에 진행할 미션 생성
+// 기간마다 다른 id를 가져서 지난 기간의 진행도와 섞이지 않습니다.
+export const createMission = (definition, period) => ({
+  ...definition,
+  id: `${definition.id}@${period}`,
+  definitionId: definition.id,
+  period,
+  progress: 0,
+  completed: false
+});
+
+// 저장된 미션에 조건이 없으면 같은 id의 정의에서 채워 넣음
+export const attachMissionCriteria = (missions) => missions.map(mission => {
+  if (mission.criteria) return mission;
+  const definition = MISSION_DEFINITIONS.find(d => d.id === mission.id);
+  return definition ? { ...mission, criteria: definition.criteria } : mission;
+});
+
+// 미션 화면의 '바로가기' 버튼이 이동할 곳
+export const getMissionShortcut = (mission) => {
+  switch (mission.criteria && mission.criteria.event) {
+    case GAME_EVENTS.MONSTER_CAPTURED:
+      return 'camera';
+    case GAME_EVENTS.DUMPING_REPORTED:
+      return 'map';
+    case GAME_EVENTS.FRIEND_INVITED:
+      return 'invite';
+    case GAME_EVENTS.EVENT_JOINED:
+      return 'community';
+    default:
+      return null;
+  }
+};
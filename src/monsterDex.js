@@ -0,0 +1,41 @@
+import { MONSTER_SPECIES } from './monsterSpecies';
+
+// 몬스터 도감
+// 포획 기록(capturedMonsters)은 개체 하나하나의 기록이고, 도감은 이를 종류별로 모아
+// 처음 포획한 날짜, 포획 횟수, 포획한 장소를 보여줍니다.
+// 도감 자체는 저장하지 않고 포획 기록에서 계산합니다.
+
+// 종류별 도감 항목 목록 (MONSTER_SPECIES 순서)
+//   discovered      - 한 번이라도 포획했는지
+//   firstCapturedAt - 처음 포획한 시각 (ISO, 예전 기록만 있으면 null)
+//   count           - 포획 횟수
+//   locations       - 포획한 장소별 { name, count, lat, lng }, 많이 잡은 곳부터
+export const buildDex = (capturedMonsters, species = MONSTER_SPECIES) => species.map(entry => {
+  const records = capturedMonsters.filter(record => record.speciesId === entry.id);
+  const capturedTimes = records
+    .map(record => record.capturedAt)
+    .filter(Boolean)
+    .sort();
+
+  const locationsByName = new Map();
+  records.forEach(record => {
+    const name = record.location || '알 수 없는 장소';
+    const existing = locationsByName.get(name);
+    if (existing) existing.count += 1;
+    else locationsByName.set(name, { name, count: 1, lat: record.lat, lng: record.lng });
+  });
+
+  return {
+    species: entry,
+    discovered: records.length > 0,
+    firstCapturedAt: capturedTimes[0] || null,
+    count: records.length,
+    locations: [...locationsByName.values()].sort((a, b) => b.count - a.count)
+  };
+});
+
+// 도감 완성도 { discovered, total }
+export const getDexProgress = (dex) => ({
+  discovered: dex.filter(entry => entry.discovered).length,
+  total: dex.length
+});
@@ -0,0 +1,175 @@
+import { MONSTER_SPECIES } from './monsterSpecies';
+import { calculateDistance } from './geo';
+import { createRandom } from './random';
+import { getWasteCategory } from './wasteCategories';
+
+// 몬스터 출현 엔진
+// 지도를 일정 크기의 격자 칸으로 나누고, 칸마다 일정 시간 간격(출현 주기)으로 몬스터를 뽑습니다.
+// 시드, 칸, 주기가 같으면 항상 같은 몬스터가 나오므로 같은 장소의 사용자는 같은 몬스터를 보고,
+// 고정 시드와 가짜 시각(now)을 넘기면 테스트에서도 결과를 재현할 수 있습니다.
+// 출현한 몬스터는 ttl이 지나면 사라집니다.
+// 주변 핫스팟의 위험도는 희귀도를, 신고된 쓰레기 분류는 몬스터 타입/종류를 좌우합니다.
+
+export const SPAWN_CONFIG = {
+  seed: 'ecoquest',
+  cellSize: 0.002, // 격자 칸 크기 (위경도, 약 200m)
+  cellRadius: 1, // 사용자 칸 주변으로 몇 칸까지 출현시킬지
+  intervalMs: 10 * 60 * 1000, // 출현 주기
+  ttlMs: 30 * 60 * 1000, // 출현 후 사라질 때까지의 시간
+  baseSpawnChance: 0.35, // 주기마다 칸에 몬스터가 나올 기본 확률
+  severityRadiusKm: 0.3, // 이 거리 안의 핫스팟이 칸의 오염도에 영향
+  rarityWeights: { common: 70, uncommon: 22, rare: 8 },
+  wasteTypeBias: 3, // 신고된 쓰레기와 타입이 같은 몬스터의 가중치 배율
+  wasteSpeciesBias: 4 // 신고된 쓰레기와 특히 닮은 몬스터 종류의 추가 배율
+};
+
+// 핫스팟 위험도를 숫자로 변환 (level은 hotspotSeverity.js에서 계산, 정리된 곳은 0)
+export const getHotspotSeverity = (spot) => {
+  if (spot.level === 'high') return 3;
+  if (spot.level === 'medium') return 2;
+  if (spot.level === 'clean') return 0;
+  return 1;
+};
+
+// 가중치 표에서 하나 고르기
+export const pickWeighted = (weights, random) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+};
+
+const getCellIndex = (value, cellSize) => Math.floor(value / cellSize);
+
+// 칸 주변 핫스팟의 오염도 합계와 쓰레기 분류별 신고 수 합계
+const getCellConditions = (center, hotspots, config) => hotspots
+  .filter(spot => calculateDistance(center.lat, center.lng, spot.lat, spot.lng) <= config.severityRadiusKm)
+  .reduce((conditions, spot) => {
+    const wasteCounts = { ...conditions.wasteCounts };
+    Object.entries(spot.wasteCounts || {}).forEach(([categoryId, count]) => {
+      wasteCounts[categoryId] = (wasteCounts[categoryId] || 0) + count;
+    });
+    return { severity: conditions.severity + getHotspotSeverity(spot), wasteCounts };
+  }, { severity: 0, wasteCounts: {} });
+
+// 오염도가 높을수록 희귀한 몬스터가 잘 나오도록 희귀도 가중치 조정
+export const getRarityWeights = (severity, config = SPAWN_CONFIG) => ({
+  common: config.rarityWeights.common,
+  uncommon: config.rarityWeights.uncommon + severity * 4,
+  rare: config.rarityWeights.rare + severity * 3
+});
+
+// 몬스터 종류별 출현 가중치
+// 희귀도 가중치를 같은 희귀도의 종류끼리 나눠 갖고, 주변에서 신고된 쓰레기와
+// 타입이 같거나 특히 닮은 종류는 신고 비율만큼 가중치가 커집니다.
+export const getSpeciesWeights = (severity, wasteCounts = {}, config = SPAWN_CONFIG, species = MONSTER_SPECIES) => {
+  const rarityWeights = getRarityWeights(severity, config);
+  const reports = Object.entries(wasteCounts)
+    .map(([categoryId, count]) => ({ category: getWasteCategory(categoryId), count }))
+    .filter(({ category, count }) => category && count > 0);
+  const totalReports = reports.reduce((sum, { count }) => sum + count, 0);
+
+  const shareOf = (matches) => (totalReports === 0 ? 0 : reports
+    .filter(({ category }) => matches(category))
+    .reduce((sum, { count }) => sum + count, 0) / totalReports);
+
+  return species.reduce((weights, s) => {
+    const sameRarity = species.filter(other => other.rarity === s.rarity).length;
+    const affinity = 1
+      + config.wasteTypeBias * shareOf(category => category.monsterType === s.type)
+      + config.wasteSpeciesBias * shareOf(category => category.speciesIds.includes(s.id));
+    return { ...weights, [s.id]: ((rarityWeights[s.rarity] || 0) / sameRarity) * affinity };
+  }, {});
+};
+
+// 가장 가까운 핫스팟 이름으로 위치 설명
+const describeLocation = (position, hotspots, config) => {
+  const nearest = hotspots
+    .map(spot => ({ spot, distance: calculateDistance(position.lat, position.lng, spot.lat, spot.lng) }))
+    .filter(({ distance }) => distance <= config.severityRadiusKm)
+    .sort((a, b) => a.distance - b.distance)[0];
+  return nearest ? nearest.spot.name : '내 주변';
+};
+
+// 한 칸, 한 주기의 출현 몬스터 생성
+const spawnCell = ({ latIndex, lngIndex, windowIndex, hotspots, config, species }) => {
+  const cellKey = `${latIndex}:${lngIndex}`;
+  const random = createRandom(`${config.seed}:${cellKey}:${windowIndex}`);
+  const cellCenter = {
+    lat: (latIndex + 0.5) * config.cellSize,
+    lng: (lngIndex + 0.5) * config.cellSize
+  };
+
+  const { severity, wasteCounts } = getCellConditions(cellCenter, hotspots, config);
+  const speciesWeights = getSpeciesWeights(severity, wasteCounts, config, species);
+  const spawnChance = Math.min(config.baseSpawnChance + severity * 0.1, 0.9);
+  // 오염도가 높은 칸은 한 주기에 여러 마리가 나올 수 있음
+  const count = (random() < spawnChance ? 1 : 0) + (severity >= 3 && random() < 0.5 ? 1 : 0);
+
+  const spawnedAt = windowIndex * config.intervalMs;
+  return Array.from({ length: count }, (_, i) => {
+    const speciesId = Number(pickWeighted(speciesWeights, random));
+    const picked = species.find(s => s.id === speciesId);
+    const position = {
+      lat: (latIndex + random()) * config.cellSize,
+      lng: (lngIndex + random()) * config.cellSize
+    };
+    return {
+      id: `${cellKey}:${windowIndex}:${i}`,
+      speciesId: picked.id,
+      name: picked.name,
+      type: picked.type,
+      points: picked.points,
+      image: picked.image,
+      rarity: picked.rarity,
+      lat: position.lat,
+      lng: position.lng,
+      location: describeLocation(position, hotspots, config),
+      spawnedAt: new Date(spawnedAt).toISOString(),
+      expiresAt: new Date(spawnedAt + config.ttlMs).toISOString()
+    };
+  });
+};
+
+// 현재 시각에 사용자 주변에 나와 있는 몬스터 목록
+export const getActiveSpawns = ({
+  center,
+  hotspots = [],
+  now = Date.now(),
+  config = SPAWN_CONFIG,
+  species = MONSTER_SPECIES
+}) => {
+  if (!center) return [];
+
+  const centerLat = getCellIndex(center.lat, config.cellSize);
+  const centerLng = getCellIndex(center.lng, config.cellSize);
+  const lastWindow = Math.floor(now / config.intervalMs);
+  // ttl 안에 시작된 주기만 살아 있음
+  const firstWindow = Math.floor((now - config.ttlMs) / config.intervalMs) + 1;
+
+  const spawns = [];
+  for (let dLat = -config.cellRadius; dLat <= config.cellRadius; dLat++) {
+    for (let dLng = -config.cellRadius; dLng <= config.cellRadius; dLng++) {
+      for (let windowIndex = firstWindow; windowIndex <= lastWindow; windowIndex++) {
+        spawns.push(...spawnCell({
+          latIndex: centerLat + dLat,
+          lngIndex: centerLng + dLng,
+          windowIndex,
+          hotspots,
+          config,
+          species
+        }));
+      }
+    }
+  }
+  return spawns.filter(spawn => new Date(spawn.expiresAt).getTime() > now);
+};
+
+// 출현 목록이 다음으로 바뀌는 시각까지 남은 시간 (ms)
+export const msUntilNextSpawnChange = (now = Date.now(), config = SPAWN_CONFIG) => (
+  config.intervalMs - (now % config.intervalMs)
+);
@@ -0,0 +1,122 @@
+import { SPAWN_CONFIG, getActiveSpawns, getSpeciesWeights, msUntilNextSpawnChange } from './monsterSpawner';
+import { MONSTER_SPECIES } from './monsterSpecies';
+
+const NOW = Date.parse('2026-03-02T09:05:00.000Z');
+const CENTER = { lat: 37.6015, lng: 127.0155 };
+
+// 출현 확률을 최대(0.9)로 올린 설정
+const DENSE = { ...SPAWN_CONFIG, seed: 'test', baseSpawnChance: 1 };
+
+// 출현 id - `${위도 칸}:${경도 칸}:${주기}:${순번}`
+const windowOf = (spawn) => Number(spawn.id.split(':')[2]);
+
+describe('getActiveSpawns', () => {
+  it('시드와 시각이 같으면 같은 몬스터가 나온다', () => {
+    const first = getActiveSpawns({ center: CENTER, now: NOW, config: { ...SPAWN_CONFIG, seed: 'test' } });
+    const second = getActiveSpawns({ center: { ...CENTER }, now: NOW, config: { ...SPAWN_CONFIG, seed: 'test' } });
+
+    expect(second).toEqual(first);
+  });
+
+  it('ttl 안에 시작된 주기의 몬스터만 살아 있다', () => {
+    const spawns = getActiveSpawns({ center: CENTER, now: NOW, config: DENSE });
+
+    // 09:05 기준 30분 ttl - 08:40, 08:50, 09:00 주기
+    const lastWindow = Math.floor(NOW / DENSE.intervalMs);
+    expect(new Set(spawns.map(windowOf))).toEqual(new Set([lastWindow - 2, lastWindow - 1, lastWindow]));
+    spawns.forEach(spawn => {
+      expect(Date.parse(spawn.spawnedAt)).toBeLessThanOrEqual(NOW);
+      expect(Date.parse(spawn.expiresAt)).toBeGreaterThan(NOW);
+      expect(Date.parse(spawn.expiresAt) - Date.parse(spawn.spawnedAt)).toBe(DENSE.ttlMs);
+    });
+  });
+
+  it('ttl이 지나면 사라진다', () => {
+    const spawns = getActiveSpawns({ center: CENTER, now: NOW, config: DENSE });
+    const oldest = [...spawns].sort((a, b) => Date.parse(a.spawnedAt) - Date.parse(b.spawnedAt))[0];
+    const expiresAt = Date.parse(oldest.expiresAt);
+
+    const idsAt = (now) => getActiveSpawns({ center: CENTER, now, config: DENSE }).map(spawn => spawn.id);
+
+    expect(idsAt(expiresAt - 1)).toContain(oldest.id);
+    expect(idsAt(expiresAt)).not.toContain(oldest.id);
+  });
+
+  it('위치를 모르면 출현하지 않는다', () => {
+    expect(getActiveSpawns({ center: null, now: NOW })).toEqual([]);
+  });
+});
+
+describe('getSpeciesWeights', () => {
+  const weightsByRarity = (weights) => MONSTER_SPECIES.reduce((totals, species) => ({
+    ...totals, [species.rarity]: (totals[species.rarity] || 0) + weights[species.id]
+  }), {});
+
+  it('주변이 깨끗하면 희귀도 가중치를 같은 희귀도 종류끼리 나눈다', () => {
+    const weights = getSpeciesWeights(0);
+
+    expect(weightsByRarity(weights)).toEqual(expect.objectContaining({ uncommon: 22 }));
+    expect(weightsByRarity(weights).common).toBeCloseTo(70);
+    expect(weightsByRarity(weights).rare).toBeCloseTo(8);
+    expect(weights[1]).toBeCloseTo(weights[3]);
+  });
+
+  it('오염도가 높을수록 희귀한 종류의 가중치가 커진다', () => {
+    expect(weightsByRarity(getSpeciesWeights(3))).toEqual(expect.objectContaining({ uncommon: 34, rare: 17 }));
+  });
+
+  it('신고된 쓰레기와 타입이 같은 종류는 커지고, 특히 닮은 종류는 더 커진다', () => {
+    const clean = getSpeciesWeights(0);
+    const plastic = getSpeciesWeights(0, { plastic: 4 });
+
+    // 플라스틱 용기 - 타입(×3)과 종류(×4) 배율을 모두 받음
+    expect(plastic[1] / clean[1]).toBeCloseTo(1 + 3 + 4);
+    // 비닐봉지 - 타입 배율만
+    expect(plastic[5] / clean[5]).toBeCloseTo(1 + 3);
+    // 종이 - 변화 없음
+    expect(plastic[3]).toBeCloseTo(clean[3]);
+  });
+
+  it('배율은 신고 비율만큼만 주고, 모르는 분류는 무시한다', () => {
+    const mixed = getSpeciesWeights(0, { plastic: 1, paper: 1, unknown: 5, general: 0 });
+    const clean = getSpeciesWeights(0);
+
+    expect(mixed[1] / clean[1]).toBeCloseTo(1 + 3 / 2 + 4 / 2);
+    expect(mixed[3] / clean[3]).toBeCloseTo(1 + 3 / 2 + 4 / 2);
+    expect(mixed[6]).toBeCloseTo(clean[6]);
+  });
+});
+
+describe('핫스팟에 따른 출현 분포', () => {
+  const hotspotAt = (level, wasteCounts = {}) => ({ id: 1, name: '테스트 핫스팟', ...CENTER, level, wasteCounts });
+
+  // 겹치지 않는 출현 주기를 여러 번 모아 분포를 봄 (고정 시드라 결과가 항상 같음)
+  const sampleSpawns = (hotspots) => Array.from({ length: 40 }, (_, i) => (
+    getActiveSpawns({ center: CENTER, hotspots, now: NOW + i * DENSE.ttlMs, config: DENSE })
+  )).flat();
+
+  const shareOf = (spawns, matches) => spawns.filter(matches).length / spawns.length;
+
+  it('위험도가 높은 핫스팟 근처에는 희귀한 몬스터가 더 많이 나온다', () => {
+    const isRare = spawn => spawn.rarity === 'rare';
+    const quiet = shareOf(sampleSpawns([]), isRare);
+    const severe = shareOf(sampleSpawns([hotspotAt('high')]), isRare);
+
+    expect(severe).toBeGreaterThan(quiet + 0.03);
+  });
+
+  it('플라스틱 신고가 많은 곳에는 플라스틱 몬스터가 더 많이 나온다', () => {
+    const isPlastic = spawn => spawn.type === '플라스틱';
+    const paperHeavy = shareOf(sampleSpawns([hotspotAt('low', { paper: 8 })]), isPlastic);
+    const plasticHeavy = shareOf(sampleSpawns([hotspotAt('low', { plastic: 5, pet: 3 })]), isPlastic);
+
+    expect(plasticHeavy).toBeGreaterThan(0.7);
+    expect(plasticHeavy).toBeGreaterThan(paperHeavy + 0.3);
+  });
+});
+
+describe('msUntilNextSpawnChange', () => {
+  it('다음 출현 주기까지 남은 시간', () => {
+    expect(msUntilNextSpawnChange(NOW)).toBe(5 * 60 * 1000);
+  });
+});
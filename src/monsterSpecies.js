@@ -0,0 +1,68 @@
+// 쓰레기 몬스터 종류
+// 지도에 나타나는 몬스터 하나하나는 이 종류 중 하나로 생성됩니다 (monsterSpawner.js 참고).
+// 도감(monsterDex.js)은 종류별로 포획 기록을 모아 보여줍니다.
+
+export const MONSTER_SPECIES = [
+  {
+    id: 1,
+    name: '쓰레기몬',
+    type: '플라스틱',
+    points: 50,
+    image: '🗑️',
+    rarity: 'common',
+    description: '골목에 아무렇게나 쌓인 플라스틱 용기에서 태어난 몬스터. 음식물이 묻은 채 버려질수록 덩치가 커집니다.',
+    recyclingTip: '플라스틱 용기는 내용물을 비우고 물로 헹군 뒤 배출하세요.'
+  },
+  {
+    id: 2,
+    name: '페트병 드래곤',
+    type: '플라스틱',
+    points: 70,
+    image: '🧪',
+    rarity: 'rare',
+    description: '라벨을 두른 채 버려진 페트병이 모여 만들어진 드래곤. 뚜껑을 닫아 둔 페트병 속 공기로 하늘을 납니다.',
+    recyclingTip: '투명 페트병은 라벨을 떼고 찌그러뜨린 뒤 뚜껑을 닫아 전용 수거함에 배출하세요.'
+  },
+  {
+    id: 3,
+    name: '종이 고스트',
+    type: '종이',
+    points: 30,
+    image: '📄',
+    rarity: 'common',
+    description: '비에 젖은 전단지와 박스 조각이 뭉쳐 생긴 유령. 테이프가 붙은 곳을 좋아합니다.',
+    recyclingTip: '박스는 테이프와 송장을 떼고 접어서, 젖지 않게 묶어 배출하세요.'
+  },
+  {
+    id: 4,
+    name: '캔 골렘',
+    type: '금속',
+    points: 60,
+    image: '🥫',
+    rarity: 'uncommon',
+    description: '담배꽁초가 꽂힌 음료 캔들이 쌓여 깨어난 골렘. 속에 이물질이 많을수록 단단해집니다.',
+    recyclingTip: '캔은 내용물을 비우고 헹군 뒤, 안에 담배꽁초 같은 이물질을 넣지 말고 배출하세요.'
+  },
+  {
+    id: 5,
+    name: '비닐 뱀프',
+    type: '플라스틱',
+    points: 45,
+    image: '🛍️',
+    rarity: 'common',
+    description: '바람에 날리는 비닐봉지에 깃든 흡혈귀. 시장 뒷골목처럼 비닐이 많은 곳에 자주 나타납니다.',
+    recyclingTip: '비닐은 이물질을 털어내고 깨끗한 것만 모아 투명 봉투에 담아 배출하세요.'
+  },
+  {
+    id: 6,
+    name: '유리병 마법사',
+    type: '유리',
+    points: 80,
+    image: '🧙‍♂️',
+    rarity: 'rare',
+    description: '깨진 유리병 조각으로 마법진을 그리는 마법사. 밤늦게 공원 벤치 주변에서 목격됩니다.',
+    recyclingTip: '유리병은 뚜껑을 분리하고 헹궈 배출하고, 깨진 유리는 신문지에 싸서 종량제 봉투에 넣으세요.'
+  }
+];
+
+export const getSpecies = (speciesId) => MONSTER_SPECIES.find(species => species.id === speciesId);
@@ -0,0 +1,179 @@
+import { stripMetadata } from './photoPrivacy';
+import { createDefaultAdapter } from './storageAdapters';
+
+// 사진 증거
+// 카메라 화면의 현재 비디오 프레임을 캔버스로 잘라 압축(WebP, 지원하지 않으면 JPEG)한 뒤,
+// 촬영 시각과 GPS 위치를 함께 기록해 몬스터 포획이나 무단투기 신고의 증거로 첨부합니다.
+// 사진은 용량이 커서 앱 저장소와 따로 IndexedDB(사진마다 레코드 하나)에 보관하고,
+// 정해진 용량을 넘으면 오래된 사진부터 지웁니다.
+// 앱 시작 때 한 번 읽어 메모리에 올려 두므로 화면을 그릴 때마다 저장소를 읽지 않습니다.
+// 저장 전 모자이크와 메타데이터 제거는 photoPrivacy.js가 담당합니다.
+
+export const PHOTO_CONFIG = {
+  maxSize: 1280, // 긴 변 최대 픽셀
+  quality: 0.7,
+  mimeTypes: ['image/webp', 'image/jpeg'], // 앞에서부터 지원되는 형식 사용
+  budgetBytes: 20 * 1024 * 1024 // 보관할 사진 전체 용량
+};
+
+const PHOTO_DB_NAME = 'ecoquest-photos';
+const PHOTO_LOCAL_KEY = 'ecoquest-photo-store'; // IndexedDB를 쓸 수 없을 때의 localStorage 키
+const LEGACY_PHOTO_KEY = 'ecoquest-photos'; // 예전에 사진 목록 전체를 JSON으로 보관하던 localStorage 키
+const PHOTO_STORE_VERSION = 1;
+
+// 사진이 허용 용량보다 클 때 던지는 오류
+export class PhotoTooLargeError extends Error {
+  constructor(size, budget) {
+    super(`사진 용량(${size}B)이 보관 한도(${budget}B)를 넘습니다`);
+    this.name = 'PhotoTooLargeError';
+    this.size = size;
+    this.budget = budget;
+  }
+}
+
+// 긴 변이 maxSize를 넘지 않도록 줄인 크기
+export const fitWithin = (width, height, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// 이미지 원본을 줄여서 캔버스에 그려 반환
+const drawToCanvas = (source, sourceWidth, sourceHeight, maxSize) => {
+  const { width, height } = fitWithin(sourceWidth, sourceHeight, maxSize);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+  return canvas;
+};
+
+// 비디오의 현재 프레임을 캔버스에 그려 반환 (영상이 아직 준비되지 않았으면 null)
+export const captureVideoFrame = (video, { maxSize = PHOTO_CONFIG.maxSize } = {}) => {
+  if (!video || !video.videoWidth || !video.videoHeight) return null;
+  return drawToCanvas(video, video.videoWidth, video.videoHeight, maxSize);
+};
+
+// 사용자가 올린 사진(<img>)을 캔버스에 그려 반환 - 다시 그리므로 원본 EXIF는 따라오지 않음
+export const captureImageFrame = (image, { maxSize = PHOTO_CONFIG.maxSize } = {}) => {
+  if (!image || !image.complete || !image.naturalWidth) return null;
+  return drawToCanvas(image, image.naturalWidth, image.naturalHeight, maxSize);
+};
+
+// 캔버스를 압축된 data URL로 변환
+// 지원하지 않는 형식을 요청하면 브라우저가 PNG를 돌려주므로 결과 형식을 확인합니다.
+export const encodeCanvas = (canvas, { quality = PHOTO_CONFIG.quality, mimeTypes = PHOTO_CONFIG.mimeTypes } = {}) => {
+  for (const mimeType of mimeTypes) {
+    const dataUrl = canvas.toDataURL(mimeType, quality);
+    if (dataUrl.startsWith(`data:${mimeType}`)) return { dataUrl, mimeType };
+  }
+  return { dataUrl: canvas.toDataURL(), mimeType: 'image/png' };
+};
+
+// 사진 기록 생성
+// attachedTo는 사진이 첨부된 기록 ({ kind: 'capture' | 'report', id }, id는 없을 수 있음)
+export const createPhotoRecord = ({ dataUrl, mimeType, width, height, location = null, attachedTo = null }, timestamp = Date.now()) => ({
+  id: `photo-${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  dataUrl,
+  mimeType,
+  width,
+  height,
+  size: dataUrl.length,
+  takenAt: new Date(timestamp).toISOString(),
+  location: location ? { lat: location.lat, lng: location.lng, accuracy: location.accuracy ?? null } : null,
+  attachedTo
+});
+
+// 캔버스를 압축하고 메타데이터를 지운 사진 기록으로 만들기
+export const createPhotoFromCanvas = (canvas, { location = null, attachedTo = null, config = PHOTO_CONFIG } = {}) => {
+  const encoded = encodeCanvas(canvas, config);
+  const dataUrl = stripMetadata(encoded.dataUrl);
+  return createPhotoRecord({
+    dataUrl,
+    mimeType: encoded.mimeType,
+    width: canvas.width,
+    height: canvas.height,
+    location,
+    attachedTo
+  });
+};
+
+// 용량 한도 안에 들도록 오래된 사진부터 지운 뒤 새 사진을 추가한 목록 반환
+export const addPhotoWithinBudget = (photos, photo, budgetBytes = PHOTO_CONFIG.budgetBytes) => {
+  if (photo.size > budgetBytes) throw new PhotoTooLargeError(photo.size, budgetBytes);
+
+  const kept = [...photos].sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+  const evicted = [];
+  let total = kept.reduce((sum, p) => sum + p.size, 0) + photo.size;
+  while (total > budgetBytes && kept.length > 0) {
+    const oldest = kept.shift();
+    evicted.push(oldest);
+    total -= oldest.size;
+  }
+  return { photos: [...kept, photo], evicted };
+};
+
+// 예전 localStorage 사진 목록 읽기 (없거나 읽을 수 없으면 빈 목록)
+const readLegacyPhotos = (legacyStorage) => {
+  try {
+    const raw = legacyStorage.getItem(LEGACY_PHOTO_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('예전 사진 목록을 읽을 수 없습니다:', error);
+    return [];
+  }
+};
+
+const byTakenAt = (a, b) => a.takenAt.localeCompare(b.takenAt);
+
+// 사진 보관함 - 저장소 어댑터(storageAdapters.js)에 사진 id를 필드로 하여 보관
+// load()로 한 번 읽은 뒤에는 list()/get()이 메모리의 목록을 돌려주고,
+// save()/remove()는 메모리 목록을 바로 바꾼 뒤 저장소 기록이 끝나면 끝나는 promise를 반환합니다.
+export const createPhotoStore = ({
+  adapter = createDefaultAdapter({ dbName: PHOTO_DB_NAME, storeName: 'photos', localKey: PHOTO_LOCAL_KEY }),
+  legacyStorage = window.localStorage,
+  budgetBytes = PHOTO_CONFIG.budgetBytes
+} = {}) => {
+  let photos = [];
+
+  return {
+    // 저장된 사진 읽기 - 예전 localStorage 목록은 새 저장소에 기록한 뒤 지웁니다.
+    load: async () => {
+      const stored = await adapter.read();
+      const storedPhotos = stored ? Object.values(stored.data) : [];
+      const storedIds = new Set(storedPhotos.map(photo => photo.id));
+
+      const legacy = readLegacyPhotos(legacyStorage).filter(photo => !storedIds.has(photo.id));
+      if (legacy.length > 0) {
+        await adapter.write(PHOTO_STORE_VERSION, Object.fromEntries(legacy.map(photo => [photo.id, photo])));
+      }
+      legacyStorage.removeItem(LEGACY_PHOTO_KEY);
+
+      // 읽는 동안 저장한 사진도 유지
+      const loaded = [...storedPhotos, ...legacy];
+      const loadedIds = new Set(loaded.map(photo => photo.id));
+      photos = [...loaded, ...photos.filter(photo => !loadedIds.has(photo.id))].sort(byTakenAt);
+      return photos;
+    },
+
+    list: () => photos,
+
+    get: (id) => photos.find(photo => photo.id === id) || null,
+
+    // 사진 저장 - 용량을 넘으면 오래된 사진을 지움
+    // 반환값 - { photo, evicted, written } (written은 저장소 기록이 끝나면 끝나는 promise)
+    save: (photo) => {
+      const result = addPhotoWithinBudget(photos, photo, budgetBytes);
+      photos = result.photos;
+      const evictedIds = result.evicted.map(evicted => evicted.id);
+      const written = adapter.write(PHOTO_STORE_VERSION, { [photo.id]: photo })
+        .then(() => (evictedIds.length > 0 ? adapter.remove(evictedIds) : undefined));
+      return { photo, evicted: result.evicted, written };
+    },
+
+    remove: (id) => {
+      photos = photos.filter(photo => photo.id !== id);
+      return adapter.remove([id]);
+    }
+  };
+};
@@ -0,0 +1,87 @@
+import { PhotoTooLargeError, addPhotoWithinBudget, createPhotoRecord, createPhotoStore } from './photoEvidence';
+import { createLocalStorageAdapter } from './storageAdapters';
+
+const createMemoryStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    has: (key) => items.has(key)
+  };
+};
+
+const makePhoto = (name, takenAt, size = 10) => ({
+  ...createPhotoRecord({ dataUrl: 'x'.repeat(size), mimeType: 'image/webp', width: 1, height: 1 }, Date.parse(takenAt)),
+  id: name
+});
+
+describe('addPhotoWithinBudget', () => {
+  it('용량을 넘으면 오래된 사진부터 지운다', () => {
+    const photos = [makePhoto('b', '2026-03-02T02:00:00.000Z'), makePhoto('a', '2026-03-02T01:00:00.000Z')];
+
+    const result = addPhotoWithinBudget(photos, makePhoto('c', '2026-03-02T03:00:00.000Z'), 25);
+
+    expect(result.photos.map(photo => photo.id)).toEqual(['b', 'c']);
+    expect(result.evicted.map(photo => photo.id)).toEqual(['a']);
+  });
+
+  it('한 장이 한도보다 크면 PhotoTooLargeError', () => {
+    expect(() => addPhotoWithinBudget([], makePhoto('a', '2026-03-02T01:00:00.000Z', 30), 25)).toThrow(PhotoTooLargeError);
+  });
+});
+
+describe('createPhotoStore', () => {
+  const setup = ({ legacy, budgetBytes = 100 } = {}) => {
+    const storage = createMemoryStorage(legacy ? { 'ecoquest-photos': JSON.stringify(legacy) } : {});
+    const adapter = createLocalStorageAdapter(storage, 'photo-test');
+    return { storage, adapter, store: createPhotoStore({ adapter, legacyStorage: storage, budgetBytes }) };
+  };
+
+  it('예전 localStorage 사진 목록을 보관함으로 옮기고 예전 키를 지운다', async () => {
+    const legacy = [makePhoto('a', '2026-03-02T01:00:00.000Z')];
+    const { storage, adapter, store } = setup({ legacy });
+
+    expect(await store.load()).toEqual(legacy);
+
+    expect(storage.has('ecoquest-photos')).toBe(false);
+    expect((await adapter.read()).data).toEqual({ a: legacy[0] });
+  });
+
+  it('저장하면 메모리 목록은 바로 바뀌고, 밀려난 사진은 보관함에서도 지운다', async () => {
+    const { adapter, store } = setup({ budgetBytes: 25 });
+    await store.load();
+
+    store.save(makePhoto('a', '2026-03-02T01:00:00.000Z'));
+    store.save(makePhoto('b', '2026-03-02T02:00:00.000Z'));
+    const { evicted, written } = store.save(makePhoto('c', '2026-03-02T03:00:00.000Z'));
+
+    expect(evicted.map(photo => photo.id)).toEqual(['a']);
+    expect(store.list().map(photo => photo.id)).toEqual(['b', 'c']);
+    expect(store.get('a')).toBeNull();
+    await written;
+    expect(Object.keys((await adapter.read()).data).sort()).toEqual(['b', 'c']);
+  });
+
+  it('읽는 중에 저장한 사진도 읽은 목록과 함께 유지한다', async () => {
+    const { adapter, store } = setup();
+    await adapter.write(1, { a: makePhoto('a', '2026-03-02T01:00:00.000Z') });
+
+    const loading = store.load();
+    store.save(makePhoto('b', '2026-03-02T02:00:00.000Z'));
+    await loading;
+
+    expect(store.list().map(photo => photo.id)).toEqual(['a', 'b']);
+  });
+
+  it('삭제한 사진은 보관함에서도 지운다', async () => {
+    const { adapter, store } = setup();
+    await store.load();
+    await store.save(makePhoto('a', '2026-03-02T01:00:00.000Z')).written;
+
+    await store.remove('a');
+
+    expect(store.list()).toEqual([]);
+    expect((await adapter.read()).data).toEqual({});
+  });
+});
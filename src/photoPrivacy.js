@@ -0,0 +1,182 @@
+// 사진 개인정보 보호
+// 무단투기 사진에는 지나가는 사람의 얼굴이나 차량 번호판이 찍히기 쉬우므로,
+// 사진을 저장하기 전에 사용자가 브러시로 칠한 영역과 자동 감지기가 찾은 영역을 모자이크하고
+// EXIF 같은 메타데이터(촬영 위치 등)를 지웁니다.
+// 위치는 사진 기록의 location 필드에만 남기고 이미지 파일 안에는 남기지 않습니다.
+
+export const BLUR_CONFIG = {
+  brushRadius: 24, // 브러시 반지름 (사진 픽셀 기준)
+  pixelSize: 16 // 모자이크 한 칸 크기
+};
+
+// 자동 감지기 인터페이스
+//   detect(canvas) - 가릴 영역 목록 [{ x, y, width, height, label }]을 Promise로 반환
+// 기본값은 아무것도 찾지 않는 감지기라서 모델 없이도 동작하고 테스트할 수 있습니다.
+export const noopDetector = {
+  name: 'none',
+  detect: async () => []
+};
+
+let activeDetector = noopDetector;
+
+// 얼굴/번호판 감지 모델 등록 (null이면 기본 감지기로 되돌림)
+export const setPrivacyDetector = (detector) => {
+  activeDetector = detector || noopDetector;
+};
+
+export const getPrivacyDetector = () => activeDetector;
+
+// 화면 좌표를 캔버스 픽셀 좌표로 변환 (미리보기가 축소되어 보이는 경우)
+export const toCanvasPoint = (canvas, clientX, clientY) => {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((clientX - rect.left) / rect.width) * canvas.width,
+    y: ((clientY - rect.top) / rect.height) * canvas.height
+  };
+};
+
+// 모자이크 처리된 사본 캔버스
+const createPixelatedCopy = (canvas, pixelSize) => {
+  const small = document.createElement('canvas');
+  small.width = Math.max(1, Math.ceil(canvas.width / pixelSize));
+  small.height = Math.max(1, Math.ceil(canvas.height / pixelSize));
+  small.getContext('2d').drawImage(canvas, 0, 0, small.width, small.height);
+
+  const pixelated = document.createElement('canvas');
+  pixelated.width = canvas.width;
+  pixelated.height = canvas.height;
+  const context = pixelated.getContext('2d');
+  context.imageSmoothingEnabled = false;
+  context.drawImage(small, 0, 0, canvas.width, canvas.height);
+  return pixelated;
+};
+
+// 영역 목록을 모자이크 처리 (캔버스를 직접 수정)
+// 원형 영역 { x, y, radius }(브러시)과 사각형 영역 { x, y, width, height }(감지기)을 모두 받습니다.
+export const applyBlurRegions = (canvas, regions, { pixelSize = BLUR_CONFIG.pixelSize } = {}) => {
+  if (regions.length === 0) return canvas;
+  const pixelated = createPixelatedCopy(canvas, pixelSize);
+  const context = canvas.getContext('2d');
+
+  context.save();
+  context.beginPath();
+  regions.forEach(region => {
+    if (typeof region.radius === 'number') {
+      context.moveTo(region.x + region.radius, region.y);
+      context.arc(region.x, region.y, region.radius, 0, Math.PI * 2);
+    } else {
+      context.rect(region.x, region.y, region.width, region.height);
+    }
+  });
+  context.clip();
+  context.drawImage(pixelated, 0, 0);
+  context.restore();
+  return canvas;
+};
+
+// 자동 감지 영역 찾기 - 감지기가 실패해도 사진 저장은 막지 않음
+export const detectSensitiveRegions = async (canvas, detector = activeDetector) => {
+  try {
+    return await detector.detect(canvas);
+  } catch (error) {
+    console.error(`개인정보 감지 실패 (${detector.name}):`, error);
+    return [];
+  }
+};
+
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const bytesToDataUrl = (bytes, mimeType) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+};
+
+// JPEG에서 APP1~APP15(EXIF, XMP 등)와 주석(COM) 세그먼트 제거
+// 세그먼트 구조가 깨져 있으면(길이가 파일 끝을 넘거나 SOS 전에 끝남) 손대지 않고 그대로 반환합니다.
+export const stripJpegMetadata = (bytes) => {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return bytes;
+  const kept = [bytes.subarray(0, 2)];
+  let offset = 2;
+
+  for (;;) {
+    if (offset + 4 > bytes.length || bytes[offset] !== 0xFF) return bytes;
+    const marker = bytes[offset + 1];
+    // 스캔 데이터 시작(SOS) 이후는 그대로 유지
+    if (marker === 0xDA) break;
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (length < 2 || offset + 2 + length > bytes.length) return bytes;
+    const isMetadata = (marker >= 0xE1 && marker <= 0xEF) || marker === 0xFE;
+    if (!isMetadata) kept.push(bytes.subarray(offset, offset + 2 + length));
+    offset += 2 + length;
+  }
+  kept.push(bytes.subarray(offset));
+
+  const stripped = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  kept.forEach(part => {
+    stripped.set(part, position);
+    position += part.length;
+  });
+  return stripped;
+};
+
+const readFourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// WebP(RIFF)에서 EXIF/XMP 청크를 제거하고 VP8X 헤더의 해당 플래그를 끔
+// 청크 크기가 파일 끝을 넘으면 손대지 않고 그대로 반환합니다.
+export const stripWebpMetadata = (bytes) => {
+  if (bytes.length < 12) return bytes;
+  if (readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') return bytes;
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const type = readFourCC(bytes, offset);
+    const size = (bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24)) >>> 0;
+    if (offset + 8 + size > bytes.length) return bytes;
+    const end = Math.min(offset + 8 + size + (size % 2), bytes.length);
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      const chunk = bytes.slice(offset, end);
+      if (type === 'VP8X') chunk[8] &= ~(0x08 | 0x04); // EXIF, XMP 플래그
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  const bodySize = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const stripped = new Uint8Array(12 + bodySize);
+  stripped.set(bytes.subarray(0, 12));
+  const riffSize = 4 + bodySize;
+  stripped[4] = riffSize & 0xFF;
+  stripped[5] = (riffSize >> 8) & 0xFF;
+  stripped[6] = (riffSize >> 16) & 0xFF;
+  stripped[7] = (riffSize >> 24) & 0xFF;
+  let position = 12;
+  chunks.forEach(chunk => {
+    stripped.set(chunk, position);
+    position += chunk.length;
+  });
+  return stripped;
+};
+
+// data URL 이미지에서 메타데이터 제거 (JPEG, WebP 외 형식은 그대로 반환)
+export const stripMetadata = (dataUrl) => {
+  const mimeType = dataUrl.slice(5, dataUrl.indexOf(';'));
+  if (mimeType === 'image/jpeg') return bytesToDataUrl(stripJpegMetadata(dataUrlToBytes(dataUrl)), mimeType);
+  if (mimeType === 'image/webp') return bytesToDataUrl(stripWebpMetadata(dataUrlToBytes(dataUrl)), mimeType);
+  return dataUrl;
+};
+
+// 저장 전 개인정보 처리 - 자동 감지 영역과 브러시 영역을 모자이크 (캔버스를 직접 수정)
+export const protectPrivacy = async (canvas, { brushRegions = [], detector = activeDetector } = {}) => {
+  const detected = await detectSensitiveRegions(canvas, detector);
+  return applyBlurRegions(canvas, [...detected, ...brushRegions]);
+};
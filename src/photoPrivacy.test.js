@@ -0,0 +1,118 @@
+import { detectSensitiveRegions, stripJpegMetadata, stripMetadata, stripWebpMetadata } from './photoPrivacy';
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+const concat = (...parts) => Uint8Array.from(parts.flat());
+
+// JPEG 세그먼트 - 마커 + 길이(빅엔디언, 길이 필드 포함) + 내용
+const segment = (marker, payload) => [0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF, ...payload];
+
+// RIFF 청크 - 종류 + 크기(리틀엔디언) + 내용 + 홀수 크기면 패딩 1바이트
+const chunk = (type, payload) => [
+  ...ascii(type),
+  payload.length & 0xFF, (payload.length >> 8) & 0xFF, (payload.length >> 16) & 0xFF, (payload.length >> 24) & 0xFF,
+  ...payload,
+  ...(payload.length % 2 ? [0] : [])
+];
+
+const riff = (...chunks) => {
+  const body = chunks.flat();
+  const size = 4 + body.length;
+  return concat(ascii('RIFF'), [size & 0xFF, (size >> 8) & 0xFF, (size >> 16) & 0xFF, (size >> 24) & 0xFF], ascii('WEBP'), body);
+};
+
+const readRiffSize = (bytes) => bytes[4] | (bytes[5] << 8) | (bytes[6] << 16) | (bytes[7] << 24);
+
+describe('stripJpegMetadata', () => {
+  const SOI = [0xFF, 0xD8];
+  const APP0 = segment(0xE0, [...ascii('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const APP1 = segment(0xE1, [...ascii('Exif'), 0, 0, 0x4D, 0x4D, 0, 0x2A]);
+  const COM = segment(0xFE, ascii('hello'));
+  const DQT = segment(0xDB, [0, 1, 2, 3]);
+  // 스캔 데이터 안의 FF E1 같은 바이트는 세그먼트가 아니므로 그대로 남아야 함
+  const SCAN = [...segment(0xDA, [1, 1, 0, 0, 0x3F, 0]), 0x12, 0xFF, 0x00, 0xFF, 0xE1, 0x34, 0xFF, 0xD9];
+
+  it('APP1(EXIF)과 주석 세그먼트를 지우고 나머지와 SOS 이후 이미지 데이터는 유지한다', () => {
+    const jpeg = concat(SOI, APP0, APP1, COM, DQT, SCAN);
+
+    expect(Array.from(stripJpegMetadata(jpeg))).toEqual([...SOI, ...APP0, ...DQT, ...SCAN]);
+  });
+
+  it('메타데이터가 없으면 같은 바이트를 돌려준다', () => {
+    const jpeg = concat(SOI, APP0, DQT, SCAN);
+
+    expect(Array.from(stripJpegMetadata(jpeg))).toEqual(Array.from(jpeg));
+  });
+
+  it('JPEG가 아니거나 구조가 깨졌으면 손대지 않는다', () => {
+    const notJpeg = concat(ascii('GIF89a'));
+    // 세그먼트 길이가 파일 끝을 넘음
+    const truncated = concat(SOI, APP1.slice(0, 8));
+    // SOS 없이 끝남
+    const noScan = concat(SOI, APP0, APP1);
+    // 세그먼트 자리에 마커가 없음
+    const garbage = concat(SOI, APP1, [0x00, 0x01, 0x02, 0x03], SCAN);
+
+    [notJpeg, truncated, noScan, garbage].forEach(bytes => {
+      expect(stripJpegMetadata(bytes)).toBe(bytes);
+    });
+  });
+});
+
+describe('stripWebpMetadata', () => {
+  // VP8X 플래그: 0x10 알파, 0x08 EXIF, 0x04 XMP
+  const VP8X = chunk('VP8X', [0x1C, 0, 0, 0, 9, 0, 0, 9, 0, 0]);
+  const IMAGE = chunk('VP8 ', [1, 2, 3]);
+  const EXIF = chunk('EXIF', [0x4D, 0x4D, 0, 0x2A, 1]);
+  const XMP = chunk('XMP ', ascii('<x:xmpmeta/>'));
+
+  it('EXIF, XMP 청크를 지우고 VP8X 플래그와 RIFF 크기를 고친다', () => {
+    const webp = riff(VP8X, IMAGE, EXIF, XMP);
+
+    const stripped = stripWebpMetadata(webp);
+
+    const expected = riff([...VP8X.slice(0, 8), 0x10, ...VP8X.slice(9)], IMAGE);
+    expect(Array.from(stripped)).toEqual(Array.from(expected));
+    expect(readRiffSize(stripped)).toBe(stripped.length - 8);
+    // 원본은 그대로
+    expect(webp[20]).toBe(0x1C);
+  });
+
+  it('WebP가 아니거나 청크 크기가 파일 끝을 넘으면 손대지 않는다', () => {
+    const notWebp = concat(ascii('RIFF'), [4, 0, 0, 0], ascii('WAVE'));
+    const short = concat(ascii('RIFF'));
+    const webp = riff(VP8X, IMAGE, EXIF);
+    const truncated = webp.slice(0, webp.length - 4);
+
+    [notWebp, short, truncated].forEach(bytes => {
+      expect(stripWebpMetadata(bytes)).toBe(bytes);
+    });
+  });
+});
+
+describe('stripMetadata', () => {
+  const toDataUrl = (bytes, mimeType) => `data:${mimeType};base64,${btoa(String.fromCharCode(...bytes))}`;
+
+  it('data URL의 형식에 맞춰 메타데이터를 지운다', () => {
+    const app1 = segment(0xE1, ascii('Exif'));
+    const scan = [...segment(0xDA, [0]), 0x12, 0xFF, 0xD9];
+    const jpeg = concat([0xFF, 0xD8], app1, scan);
+
+    expect(stripMetadata(toDataUrl(jpeg, 'image/jpeg'))).toBe(toDataUrl(concat([0xFF, 0xD8], scan), 'image/jpeg'));
+  });
+
+  it('JPEG, WebP가 아니면 그대로 돌려준다', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgo=';
+    expect(stripMetadata(png)).toBe(png);
+  });
+});
+
+describe('detectSensitiveRegions', () => {
+  it('감지기가 실패하면 빈 목록을 돌려준다', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = { name: 'broken', detect: async () => { throw new Error('model missing'); } };
+
+    expect(await detectSensitiveRegions({}, failing)).toEqual([]);
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,53 @@
+// 포인트 장부
+// 포인트는 직접 더하거나 빼지 않고, 바뀔 때마다 장부에 거래 내역을 한 줄씩 추가합니다.
+// 현재 포인트는 장부 합계로 계산하므로 "이 포인트가 어디서 왔는지"를 항상 답할 수 있습니다.
+// 거래 내역은 추가만 하고 수정하거나 지우지 않습니다.
+
+// 포인트 출처
+export const POINT_SOURCES = {
+  capture: '몬스터 포획',
+  mission: '미션 완료',
+  badge: '배지 획득',
+  report: '무단투기 신고',
+  event: '이벤트 참여',
+  level: '레벨 보상',
+  quiz: '분리배출 퀴즈',
+  opening: '기존 포인트'
+};
+
+// 거래 내역 화면에서 거를 수 있는 출처
+export const FILTERABLE_SOURCES = ['capture', 'mission', 'badge', 'report', 'event', 'level', 'quiz'];
+
+// 거래 내역 생성
+// 여러 탭에서 같은 시각에 추가해도 겹치지 않도록 id에 임의 값을 붙입니다.
+export const createLedgerEntry = ({ source, amount, entityId = null, description = '' }, timestamp = Date.now()) => ({
+  id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+  source,
+  amount,
+  entityId,
+  description,
+  timestamp: new Date(timestamp).toISOString()
+});
+
+// 장부를 도입하기 전에 쌓인 포인트를 첫 거래로 기록
+export const createOpeningBalance = (points, timestamp = Date.now()) => createLedgerEntry({
+  source: 'opening',
+  amount: points,
+  description: POINT_SOURCES.opening
+}, timestamp);
+
+// 거래 목록을 장부 끝에 추가한 새 장부 반환
+export const appendTransactions = (ledger, transactions, timestamp = Date.now()) => {
+  if (transactions.length === 0) return ledger;
+  return [...ledger, ...transactions.map(transaction => createLedgerEntry(transaction, timestamp))];
+};
+
+// 현재 포인트 (장부 합계)
+export const getBalance = (ledger) => ledger.reduce((total, entry) => total + entry.amount, 0);
+
+// 최신 거래가 먼저 오도록 정렬하고, source가 주어지면 해당 출처만 반환
+export const getTransactionHistory = (ledger, source = null) => (
+  ledger
+    .filter(entry => !source || entry.source === source)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+);
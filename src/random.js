@@ -0,0 +1,35 @@
+// 시드 기반 난수 생성기
+// 같은 시드로 만들면 항상 같은 순서의 난수를 내므로, 탭이나 기기가 달라도
+// 같은 결과가 필요할 때(미션 추첨, 몬스터 출현 등)와 테스트에서 사용합니다.
+
+// 문자열을 32비트 정수 시드로 변환
+export const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// 0 이상 1 미만의 난수를 돌려주는 함수 생성 (mulberry32)
+export const createRandom = (seed) => {
+  let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 배열을 섞은 새 배열 반환 (Fisher-Yates)
+export const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
@@ -0,0 +1,124 @@
+import { createRandom } from './random';
+
+// 분리배출 지식 베이스
+// 몬스터 타입(재질)별 성북구 분리배출 방법과 종류별 추가 요령, 복습 퀴즈를 담고 있습니다.
+// 앱에 함께 번들되므로 오프라인에서도 볼 수 있습니다.
+// 배출 요일과 시간은 정릉3동 기준 설정값이며, 동마다 다를 수 있으니 성북구청 안내에 맞춰 고쳐 쓰세요.
+
+// 재활용품 배출 시간 (성북구 공통)
+export const DISPOSAL_HOURS = '해진 후 ~ 자정 (토요일 배출 금지)';
+
+// 타입별 분리배출 안내
+//   separation  - 어떻게 분리하는지
+//   steps       - 배출 전 준비 (헹구기, 라벨 제거 등)
+//   collection  - 수거 요일
+//   notAccepted - 재활용이 안 되어 종량제 봉투로 버려야 하는 것
+export const RECYCLING_GUIDES = {
+  플라스틱: {
+    title: '플라스틱·비닐',
+    separation: '플라스틱 용기, 투명 페트병, 비닐을 각각 따로 모아 투명 봉투에 담아 배출합니다.',
+    steps: ['내용물을 비우고 물로 헹구기', '라벨과 다른 재질의 뚜껑 떼기', '투명 페트병은 찌그러뜨려 뚜껑 닫기'],
+    collection: '매주 목요일',
+    notAccepted: ['음식물이 씻기지 않는 용기', '칫솔·장난감처럼 여러 재질이 섞인 제품']
+  },
+  종이: {
+    title: '종이·종이팩',
+    separation: '신문·책·박스는 종이류로 묶고, 우유팩 같은 종이팩은 따로 모아 배출합니다.',
+    steps: ['테이프·송장·스프링 떼기', '박스는 펼쳐서 접기', '비에 젖지 않게 끈으로 묶기'],
+    collection: '매주 화요일',
+    notAccepted: ['영수증(감열지)', '코팅된 종이', '기름이나 음식물이 묻은 종이']
+  },
+  금속: {
+    title: '캔·고철',
+    separation: '음료·식품 캔과 고철을 모아 배출하고, 부탄가스·스프레이 캔은 따로 둡니다.',
+    steps: ['내용물을 비우고 헹구기', '캔 안에 담배꽁초 등 이물질 넣지 않기', '부탄가스·스프레이는 구멍을 뚫어 가스 빼기'],
+    collection: '매주 화요일',
+    notAccepted: ['페인트·기름이 남은 캔']
+  },
+  유리: {
+    title: '유리병',
+    separation: '음료·주류 병은 색깔과 상관없이 모아 배출하고, 빈용기보증금 병은 판매점에 반납합니다.',
+    steps: ['뚜껑 분리하기', '내용물을 비우고 헹구기', '담배꽁초 등 이물질 넣지 않기'],
+    collection: '매주 목요일',
+    notAccepted: ['깨진 유리(신문지에 싸서 종량제 봉투)', '거울·도자기·내열 유리']
+  }
+};
+
+// 종류별 추가 요령 (monsterSpecies.js의 id)
+const SPECIES_NOTES = {
+  2: '투명 페트병은 유색 페트병, 다른 플라스틱과 섞지 말고 투명 페트병 전용 수거함에 넣으세요.',
+  5: '음식물이 묻은 비닐은 재활용되지 않습니다. 깨끗한 비닐만 모아주세요.',
+  6: '소주·맥주병은 빈용기보증금 대상이라 편의점이나 마트에 반납하면 보증금을 돌려받습니다.'
+};
+
+// 몬스터(또는 종류)의 분리배출 안내 - 타입 안내에 종류별 요령을 더한 것
+export const getRecyclingGuide = (monster) => {
+  const guide = RECYCLING_GUIDES[monster.type];
+  if (!guide) return null;
+  const speciesId = monster.speciesId || monster.id;
+  return {
+    ...guide,
+    type: monster.type,
+    hours: DISPOSAL_HOURS,
+    speciesNote: SPECIES_NOTES[speciesId] || null
+  };
+};
+
+// 타입별 복습 퀴즈 (answer는 options의 인덱스)
+export const QUIZ_QUESTIONS = [
+  {
+    id: 'plastic-1',
+    type: '플라스틱',
+    question: '투명 페트병을 배출하는 올바른 방법은?',
+    options: ['라벨을 붙인 채 그대로', '라벨을 떼고 찌그러뜨려 뚜껑을 닫아서', '잘게 잘라서 일반 쓰레기로'],
+    answer: 1,
+    explanation: '라벨을 떼고 찌그러뜨린 뒤 뚜껑을 닫아 전용 수거함에 넣어야 고품질 재활용이 됩니다.'
+  },
+  {
+    id: 'plastic-2',
+    type: '플라스틱',
+    question: '컵라면 국물이 남은 비닐봉지는 어떻게 버릴까요?',
+    options: ['비닐류로 배출', '헹궈도 안 되면 종량제 봉투에', '플라스틱 용기와 함께'],
+    answer: 1,
+    explanation: '오염이 씻기지 않는 비닐은 재활용되지 않으므로 종량제 봉투에 버립니다.'
+  },
+  {
+    id: 'paper-1',
+    type: '종이',
+    question: '다음 중 종이류로 재활용할 수 없는 것은?',
+    options: ['택배 박스', '신문지', '카드 영수증'],
+    answer: 2,
+    explanation: '영수증은 감열지라서 재활용이 안 됩니다. 종량제 봉투에 버리세요.'
+  },
+  {
+    id: 'paper-2',
+    type: '종이',
+    question: '택배 박스를 배출하기 전에 해야 할 일은?',
+    options: ['테이프와 송장을 떼고 접기', '물에 적셔 부피 줄이기', '비닐에 넣어 밀봉하기'],
+    answer: 0,
+    explanation: '테이프와 송장은 종이가 아니므로 떼어내고, 박스는 펼쳐 접어서 배출합니다.'
+  },
+  {
+    id: 'metal-1',
+    type: '금속',
+    question: '다 쓴 부탄가스 캔은 어떻게 배출할까요?',
+    options: ['그대로 캔류에', '구멍을 뚫어 가스를 뺀 뒤 따로', '일반 쓰레기로'],
+    answer: 1,
+    explanation: '남은 가스로 인한 화재를 막기 위해 구멍을 뚫어 가스를 완전히 뺀 뒤 배출합니다.'
+  },
+  {
+    id: 'glass-1',
+    type: '유리',
+    question: '깨진 유리컵은 어떻게 버릴까요?',
+    options: ['유리병 수거함에', '신문지에 싸서 종량제 봉투에', '캔류와 함께'],
+    answer: 1,
+    explanation: '깨진 유리와 유리컵은 재활용 대상이 아니며, 다치지 않게 싸서 종량제 봉투에 버립니다.'
+  }
+];
+
+// 타입에 맞는 퀴즈 하나 고르기 - 같은 seed(예: 포획 기록 id)면 같은 문제
+export const pickQuizQuestion = (type, seed) => {
+  const candidates = QUIZ_QUESTIONS.filter(question => question.type === type);
+  if (candidates.length === 0) return null;
+  return candidates[Math.floor(createRandom(`quiz:${seed}`)() * candidates.length)];
+};
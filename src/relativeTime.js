@@ -0,0 +1,50 @@
+// 상대 시각 표시
+// 시각은 항상 ISO 문자열로 저장하고, 화면에 보여줄 때만 "10분 전", "어제" 같은 문구로 바꿉니다.
+// 한국어(ko)와 영어(en)를 지원합니다.
+
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+
+export const RELATIVE_TIME_REFRESH_MS = 30 * 1000; // 화면의 상대 시각을 다시 계산하는 간격
+export const DEFAULT_LOCALE = 'ko';
+
+const JUST_NOW = { ko: '방금', en: 'just now' };
+const DATE_LOCALES = { ko: 'ko-KR', en: 'en-US' };
+
+// 지금으로부터 ms만큼 전의 ISO 시각 (시드 데이터용)
+export const toIsoAgo = (ms, now = Date.now()) => new Date(now - ms).toISOString();
+
+// ISO 시각을 상대 시각 문구로 변환 (일주일이 지나면 날짜로 표시)
+export const formatRelativeTime = (isoTime, now = Date.now(), locale = DEFAULT_LOCALE) => {
+  const time = Date.parse(isoTime);
+  if (Number.isNaN(time)) return '';
+  const elapsed = now - time;
+  if (elapsed < MINUTE_MS) return JUST_NOW[locale] || JUST_NOW[DEFAULT_LOCALE];
+
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  if (elapsed < HOUR_MS) return format.format(-Math.floor(elapsed / MINUTE_MS), 'minute');
+  if (elapsed < DAY_MS) return format.format(-Math.floor(elapsed / HOUR_MS), 'hour');
+  if (elapsed < 7 * DAY_MS) return format.format(-Math.floor(elapsed / DAY_MS), 'day');
+  return new Date(time).toLocaleDateString(DATE_LOCALES[locale] || DATE_LOCALES[DEFAULT_LOCALE]);
+};
+
+// 예전에 저장한 표시용 문구('방금', '10분 전', '어제' 등)를 ISO 시각으로 추정
+// 알 수 없는 문구면 null
+const LEGACY_PATTERNS = [
+  [/^방금$/, () => 0],
+  [/^(\d+)분 전$/, minutes => minutes * MINUTE_MS],
+  [/^(\d+)시간 전$/, hours => hours * HOUR_MS],
+  [/^어제$/, () => DAY_MS],
+  [/^(\d+)일 전$/, days => days * DAY_MS],
+  [/^(\d+)주 전$/, weeks => weeks * 7 * DAY_MS]
+];
+
+export const parseLegacyRelativeTime = (text, now = Date.now()) => {
+  if (typeof text !== 'string') return null;
+  for (const [pattern, toMs] of LEGACY_PATTERNS) {
+    const match = text.trim().match(pattern);
+    if (match) return toIsoAgo(toMs(Number(match[1])), now);
+  }
+  return null;
+};
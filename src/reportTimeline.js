@@ -0,0 +1,46 @@
+// 핫스팟 신고 타임라인
+// 핫스팟에 합쳐진 신고 기록(dumpingReports.js)을 시간순으로 보여주고,
+// 무단투기가 주로 언제 일어나는지 시간대별, 요일별 신고 수로 집계합니다.
+// 시간대와 요일은 기기 설정과 상관없이 한국 시간 기준입니다.
+
+const SEOUL_OFFSET_MS = 9 * 60 * 60 * 1000; // Asia/Seoul은 일광절약시간이 없는 UTC+9
+
+export const WEEKDAY_LABELS = ['월', '화', '수', '목', '금', '토', '일'];
+
+const toSeoulDate = (isoTime) => new Date(Date.parse(isoTime) + SEOUL_OFFSET_MS);
+
+// 핫스팟의 신고 기록 (최신순)
+export const getHotspotReports = (reports, hotspotId) => (
+  reports
+    .filter(report => report.hotspotId === hotspotId)
+    .sort((a, b) => b.reportedAt.localeCompare(a.reportedAt))
+);
+
+// 시간대별 신고 수 (0시 ~ 23시, 길이 24)
+export const getHourlyFrequency = (reports) => {
+  const counts = new Array(24).fill(0);
+  reports.forEach(report => {
+    counts[toSeoulDate(report.reportedAt).getUTCHours()] += 1;
+  });
+  return counts;
+};
+
+// 요일별 신고 수 (월 ~ 일, 길이 7)
+export const getWeekdayFrequency = (reports) => {
+  const counts = new Array(7).fill(0);
+  reports.forEach(report => {
+    counts[(toSeoulDate(report.reportedAt).getUTCDay() + 6) % 7] += 1;
+  });
+  return counts;
+};
+
+// 신고가 가장 많은 시간대와 요일 (기록이 없으면 null)
+export const getPeakTimes = (reports) => {
+  if (reports.length === 0) return null;
+  const hourly = getHourlyFrequency(reports);
+  const weekday = getWeekdayFrequency(reports);
+  return {
+    hour: hourly.indexOf(Math.max(...hourly)),
+    weekday: WEEKDAY_LABELS[weekday.indexOf(Math.max(...weekday))]
+  };
+};
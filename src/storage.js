@@ -0,0 +1,339 @@
+import { useState, useCallback, useEffect } from 'react';
+import { createDefaultAdapter, createLocalStorageAdapter } from './storageAdapters';
+import { createSyncChannel, createSyncMessage, applySyncMessage } from './storageSync';
+import { attachMissionCriteria } from './missions';
+import { createOpeningBalance, getBalance } from './pointsLedger';
+import { getLevel } from './levelCurve';
+import { ECO_HERO_BADGE_ID } from './gameEngine';
+import { parseLegacyRelativeTime } from './relativeTime';
+
+// 버전 관리되는 게임 저장소
+// 예전에는 'ecoquest-points', 'ecoquest-monsters' 같은 키를 각각 저장했지만
+// 이제는 스키마 버전과 함께 하나의 저장소에 모아 두고, 앱 시작 시 마이그레이션을 실행합니다.
+// 실제 저장은 어댑터(기본 IndexedDB, 대체 localStorage)가 담당하며,
+// 쓰기는 메모리에 먼저 반영한 뒤 모아서 비동기로 기록합니다.
+// 다른 탭에서 바뀐 값은 storageSync를 통해 받아 병합합니다.
+
+const BACKUP_KEY_PREFIX = 'ecoquest-store-backup-';
+const FLUSH_DELAY = 300; // 쓰기 묶음 간격 (ms)
+
+// 예전 개별 키 → 저장소 필드 이름
+const LEGACY_KEYS = {
+  'ecoquest-active-tab': 'activeTab',
+  'ecoquest-points': 'points', // v3에서 pointsLedger로 변환
+  'ecoquest-rank': 'rank',
+  'ecoquest-theme': 'theme',
+  'notifications-enabled': 'notificationsEnabled',
+  'user-logged-in': 'userLoggedIn',
+  'show-tutorial': 'showTutorial',
+  'ecoquest-hotspots': 'hotspots',
+  'ecoquest-monsters': 'monsters', // v5에서 capturedMonsters로 변환
+  'ecoquest-notifications': 'notifications',
+  'ecoquest-missions': 'missions',
+  'ecoquest-badges': 'badges'
+};
+
+// 마이그레이션 목록 - migrations[n]은 버전 n-1의 데이터를 버전 n으로 변환합니다.
+// 시드 데이터의 구조를 바꿀 때는 여기에 함수를 추가하세요. SCHEMA_VERSION은 자동으로 올라갑니다.
+const migrations = [
+  null,
+  // v1: 개별 키로 저장된 예전 데이터를 하나의 저장소로 가져오기
+  // 예전 키는 가져온 데이터가 저장소에 기록된 뒤 initStore에서 지웁니다.
+  (data, legacyStorage) => {
+    const imported = { ...data };
+    Object.entries(LEGACY_KEYS).forEach(([legacyKey, field]) => {
+      const raw = legacyStorage.getItem(legacyKey);
+      if (raw === null) return;
+      try {
+        imported[field] = JSON.parse(raw);
+      } catch (error) {
+        console.error(`예전 데이터(${legacyKey})를 읽을 수 없어 기본값을 사용합니다:`, error);
+        legacyStorage.setItem(`${BACKUP_KEY_PREFIX}${legacyKey}`, raw);
+      }
+    });
+    return imported;
+  },
+  // v2: 미션이 데이터로 정의된 진행 조건(criteria)을 갖도록 변경
+  (data) => (
+    data.missions ? { ...data, missions: attachMissionCriteria(data.missions) } : data
+  ),
+  // v3: 포인트 합계 대신 포인트 장부를 저장 - 기존 포인트는 첫 거래로 옮김
+  (data) => {
+    if (typeof data.points !== 'number') return data;
+    const { points, ...rest } = data;
+    return { ...rest, pointsLedger: [createOpeningBalance(points)] };
+  },
+  // v4: 레벨 곡선 변경 - 에코 히어로 배지 진행도를 새 곡선의 레벨로 맞춤
+  (data) => {
+    if (!data.badges || !data.pointsLedger) return data;
+    const level = getLevel(getBalance(data.pointsLedger));
+    return {
+      ...data,
+      badges: data.badges.map(badge => (
+        badge.id === ECO_HERO_BADGE_ID && !badge.unlocked ? { ...badge, progress: level } : badge
+      ))
+    };
+  },
+  // v5: 고정 몬스터 목록 → 출현 엔진 도입, 포획 기록만 저장
+  // 기존 몬스터 id는 종류 id와 같았으므로 포획한 것만 포획 기록으로 옮깁니다.
+  (data) => {
+    if (!Array.isArray(data.monsters)) return data;
+    const { monsters, ...rest } = data;
+    return {
+      ...rest,
+      capturedMonsters: monsters
+        .filter(monster => monster.captured)
+        .map(monster => ({
+          id: `legacy-${monster.id}`,
+          speciesId: monster.id,
+          name: monster.name,
+          type: monster.type,
+          rarity: monster.rarity,
+          lat: monster.lat,
+          lng: monster.lng,
+          location: monster.location,
+          capturedAt: null
+        }))
+    };
+  },
+  // v6: 표시용 문구('방금', '10분 전', '어제')로 저장하던 시각을 ISO 시각으로 변환
+  // 알 수 없는 문구는 마이그레이션 시각으로 봅니다.
+  (data) => {
+    const now = Date.now();
+    const toIsoTime = (text) => parseLegacyRelativeTime(text, now) || new Date(now).toISOString();
+    const migrated = { ...data };
+    if (Array.isArray(data.hotspots)) {
+      migrated.hotspots = data.hotspots.map(({ lastReport, ...spot }) => ({
+        ...spot,
+        lastReportAt: spot.lastReportAt || toIsoTime(lastReport)
+      }));
+    }
+    if (Array.isArray(data.notifications)) {
+      migrated.notifications = data.notifications.map(({ time, ...notification }) => ({
+        ...notification,
+        createdAt: notification.createdAt || toIsoTime(time)
+      }));
+    }
+    return migrated;
+  }
+];
+
+export const SCHEMA_VERSION = migrations.length - 1;
+
+// 예전 개별 키 삭제 - 새 저장소 기록에 실패하면 다음 시작 때 다시 가져올 수 있도록 기록 후에만 호출
+const removeLegacyKeys = (legacyStorage) => {
+  Object.keys(LEGACY_KEYS).forEach(legacyKey => legacyStorage.removeItem(legacyKey));
+};
+
+// 저장된 데이터를 현재 스키마 버전까지 순서대로 마이그레이션
+export const migrate = (data, fromVersion, legacyStorage) => {
+  let migrated = data;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = migrations[version](migrated, legacyStorage);
+  }
+  return migrated;
+};
+
+let store = null;
+let adapter = null;
+let recovery = null;
+let pendingChanges = {};
+let flushTimer = null;
+let writeChain = Promise.resolve();
+let syncChannel = null;
+const listeners = new Map(); // 필드 이름 → 변경 알림을 받을 함수 목록
+
+// 읽을 수 없는 데이터는 버리지 않고 백업 키에 보관한 뒤 새 저장소로 시작
+const backupCorruptStore = (legacyStorage, raw, error) => {
+  const backupKey = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+  console.error(`저장된 데이터를 읽을 수 없습니다. ${backupKey}에 백업하고 초기화합니다:`, error);
+  try {
+    if (raw !== undefined && raw !== null) {
+      legacyStorage.setItem(backupKey, typeof raw === 'string' ? raw : JSON.stringify(raw));
+    }
+  } catch (backupError) {
+    console.error('손상된 데이터 백업 실패:', backupError);
+  }
+  recovery = { backupKey, error: error.message, recoveredAt: new Date().toISOString() };
+};
+
+// 어댑터에서 저장소 읽기 - 기본 저장소가 비어 있으면 대체 저장소의 데이터를 가져옵니다.
+const readStored = async (primary, fallback, legacyStorage) => {
+  const sources = primary.name === fallback.name ? [primary] : [primary, fallback];
+  for (const source of sources) {
+    try {
+      const stored = await source.read();
+      if (stored) return { stored, source };
+    } catch (error) {
+      if (error.name !== 'CorruptStoreError') throw error;
+      backupCorruptStore(legacyStorage, error.raw, error);
+      return { stored: null, source };
+    }
+  }
+  return { stored: null, source: primary };
+};
+
+// 저장소 초기화 - 앱을 렌더링하기 전에 한 번 호출합니다.
+export const initStore = async ({
+  adapter: preferred = createDefaultAdapter(),
+  legacyStorage = window.localStorage
+} = {}) => {
+  const fallback = createLocalStorageAdapter(legacyStorage);
+  adapter = preferred;
+
+  let result;
+  try {
+    result = await readStored(adapter, fallback, legacyStorage);
+  } catch (error) {
+    console.error(`${adapter.name} 저장소를 사용할 수 없어 localStorage로 전환합니다:`, error);
+    adapter = fallback;
+    result = await readStored(adapter, fallback, legacyStorage);
+  }
+
+  const { stored, source } = result;
+  let version = stored ? stored.version : (recovery ? SCHEMA_VERSION : 0);
+  let data = stored ? stored.data : {};
+
+  if (version > SCHEMA_VERSION) {
+    // 더 최신 버전의 앱이 저장한 데이터 - 손대지 않고 그대로 사용
+    console.warn(`저장소 버전(${version})이 앱 버전(${SCHEMA_VERSION})보다 높습니다`);
+    store = { version, data };
+    return store;
+  }
+
+  let importedLegacy = false;
+  try {
+    data = migrate(data, version, legacyStorage);
+    importedLegacy = version < 1;
+  } catch (error) {
+    backupCorruptStore(legacyStorage, data, error);
+    data = {};
+  }
+
+  store = { version: SCHEMA_VERSION, data };
+  if (!syncChannel) syncChannel = createSyncChannel(receiveSyncMessage);
+
+  // 마이그레이션 결과 전체를 기록하고, 예전 키나 대체 저장소에서 옮겨 온 경우 원본을 정리
+  try {
+    await adapter.write(SCHEMA_VERSION, data);
+    if (importedLegacy) removeLegacyKeys(legacyStorage);
+    if (source !== adapter) await source.clear();
+  } catch (error) {
+    console.error('Error storing to storage:', error);
+  }
+
+  return store;
+};
+
+const requireStore = () => {
+  if (!store) throw new Error('initStore()를 먼저 호출해야 합니다');
+  return store;
+};
+
+// 모아 둔 변경 사항을 저장소에 기록 - 이전 쓰기가 끝난 뒤 순서대로 실행됩니다.
+export const flushStore = () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  const changes = pendingChanges;
+  pendingChanges = {};
+  if (!adapter || Object.keys(changes).length === 0) return writeChain;
+
+  const version = store.version;
+  writeChain = writeChain
+    .then(() => adapter.write(version, changes))
+    .catch(error => console.error('Error storing to storage:', error));
+  return writeChain;
+};
+
+export const getItem = (key) => requireStore().data[key];
+
+// 메모리의 값을 바꾸고 쓰기 예약
+const updateStore = (key, value) => {
+  const current = requireStore();
+  store = { ...current, data: { ...current.data, [key]: value } };
+  pendingChanges[key] = value;
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushStore, FLUSH_DELAY);
+  }
+};
+
+export const setItem = (key, value) => {
+  updateStore(key, value);
+
+  const message = createSyncMessage(key, value);
+  if (message && syncChannel) syncChannel.send(message);
+};
+
+// 다른 탭에서 온 변경 사항을 병합하고 구독 중인 훅에 알림
+const receiveSyncMessage = (message) => {
+  if (!store) return;
+  const merged = applySyncMessage(store.data[message.key], message);
+  updateStore(message.key, merged);
+  (listeners.get(message.key) || []).forEach(listener => listener(merged));
+};
+
+// 다른 탭에서 바뀐 값 구독 - 구독 해제 함수를 반환
+export const subscribe = (key, listener) => {
+  listeners.set(key, [...(listeners.get(key) || []), listener]);
+  return () => {
+    listeners.set(key, (listeners.get(key) || []).filter(l => l !== listener));
+  };
+};
+
+// 시작 시 손상된 데이터를 복구했다면 그 정보를 반환 (없으면 null)
+export const getRecoveryInfo = () => recovery;
+
+// 테스트용 - 메모리에 올라온 저장소를 비웁니다.
+export const resetStoreCache = () => {
+  if (flushTimer) clearTimeout(flushTimer);
+  store = null;
+  adapter = null;
+  recovery = null;
+  pendingChanges = {};
+  flushTimer = null;
+  writeChain = Promise.resolve();
+  if (syncChannel) syncChannel.close();
+  syncChannel = null;
+  listeners.clear();
+};
+
+// 탭이 숨겨지거나 닫힐 때 남은 변경 사항을 바로 기록
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flushStore);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushStore();
+  });
+}
+
+// 저장소 값을 React 상태로 다루는 커스텀 훅
+export const usePersistedState = (key, initialValue) => {
+  const [storedValue, setStoredValue] = useState(() => {
+    try {
+      const item = getItem(key);
+      if (item !== undefined) return item;
+      return initialValue instanceof Function ? initialValue() : initialValue;
+    } catch (error) {
+      console.error("Error reading from storage:", error);
+      return initialValue instanceof Function ? initialValue() : initialValue;
+    }
+  });
+
+  const setValue = useCallback((value) => {
+    setStoredValue(prev => {
+      const valueToStore = value instanceof Function ? value(prev) : value;
+      try {
+        setItem(key, valueToStore);
+      } catch (error) {
+        console.error("Error storing to storage:", error);
+      }
+      return valueToStore;
+    });
+  }, [key]);
+
+  // 다른 탭에서 바뀐 값 반영
+  useEffect(() => subscribe(key, setStoredValue), [key]);
+
+  return [storedValue, setValue];
+};
@@ -0,0 +1,49 @@
+import { getItem, initStore, resetStoreCache } from './storage';
+import { createLocalStorageAdapter } from './storageAdapters';
+
+const createMemoryStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    has: (key) => items.has(key)
+  };
+};
+
+const LEGACY_ENTRIES = {
+  'ecoquest-theme': JSON.stringify('dark'),
+  'show-tutorial': JSON.stringify(false)
+};
+
+describe('initStore 예전 키 가져오기', () => {
+  afterEach(() => {
+    resetStoreCache();
+    jest.restoreAllMocks();
+  });
+
+  it('새 저장소에 기록한 뒤 예전 키를 지운다', async () => {
+    const legacyStorage = createMemoryStorage(LEGACY_ENTRIES);
+
+    await initStore({ adapter: createLocalStorageAdapter(legacyStorage), legacyStorage });
+
+    expect(getItem('theme')).toBe('dark');
+    expect(legacyStorage.has('ecoquest-theme')).toBe(false);
+    expect(legacyStorage.has('show-tutorial')).toBe(false);
+  });
+
+  it('기록에 실패하면 다음 시작 때 다시 가져올 수 있도록 예전 키를 남긴다', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const legacyStorage = createMemoryStorage(LEGACY_ENTRIES);
+    const adapter = {
+      ...createLocalStorageAdapter(legacyStorage),
+      write: async () => { throw new Error('QuotaExceededError'); }
+    };
+
+    await initStore({ adapter, legacyStorage });
+
+    expect(getItem('theme')).toBe('dark');
+    expect(legacyStorage.has('ecoquest-theme')).toBe(true);
+    expect(legacyStorage.has('show-tutorial')).toBe(true);
+  });
+});
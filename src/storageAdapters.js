@@ -0,0 +1,153 @@
+// 저장소 어댑터
+// 모든 어댑터는 같은 인터페이스를 가집니다.
+//   read()                   - 저장된 { version, data }를 반환 (비어 있으면 null)
+//   write(version, changes)  - 바뀐 필드만 { 필드: 값 } 형태로 받아 저장
+//   remove(fields)           - 주어진 필드들을 삭제
+//   clear()                  - 저장된 데이터를 모두 삭제
+// 기본은 IndexedDB이고, 사용할 수 없는 환경에서는 localStorage를 사용합니다.
+
+export const LOCAL_STORE_KEY = 'ecoquest-store';
+const VERSION_KEY = '__version';
+
+// 읽은 데이터를 해석할 수 없을 때 원본 문자열과 함께 던지는 오류
+export class CorruptStoreError extends Error {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'CorruptStoreError';
+    this.raw = raw;
+  }
+}
+
+// localStorage 어댑터 - 전체 저장소를 하나의 JSON 문자열로 보관
+export const createLocalStorageAdapter = (storage = window.localStorage, key = LOCAL_STORE_KEY) => {
+  let cache = { version: 0, data: {} };
+
+  return {
+    name: 'localStorage',
+
+    read: async () => {
+      const raw = storage.getItem(key);
+      if (raw === null) return null;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (error) {
+        throw new CorruptStoreError(error.message, raw);
+      }
+      if (!parsed || typeof parsed !== 'object' || typeof parsed.version !== 'number') {
+        throw new CorruptStoreError('저장소 형식이 올바르지 않습니다', raw);
+      }
+
+      cache = { version: parsed.version, data: parsed.data || {} };
+      return cache;
+    },
+
+    write: async (version, changes) => {
+      cache = { version, data: { ...cache.data, ...changes } };
+      storage.setItem(key, JSON.stringify(cache));
+    },
+
+    remove: async (fields) => {
+      const data = { ...cache.data };
+      fields.forEach(field => delete data[field]);
+      cache = { version: cache.version, data };
+      storage.setItem(key, JSON.stringify(cache));
+    },
+
+    clear: async () => {
+      cache = { version: 0, data: {} };
+      storage.removeItem(key);
+    }
+  };
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// IndexedDB 어댑터 - 필드마다 레코드 하나로 저장해서 바뀐 필드만 기록
+export const createIndexedDBAdapter = ({
+  indexedDB = window.indexedDB,
+  dbName = 'ecoquest',
+  storeName = 'state'
+} = {}) => {
+  let dbPromise = null;
+
+  const openDB = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB가 다른 탭에 의해 차단되었습니다'));
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: 'indexedDB',
+
+    read: async () => {
+      const db = await openDB();
+      const objectStore = db.transaction(storeName, 'readonly').objectStore(storeName);
+      const [keys, values] = await Promise.all([
+        promisifyRequest(objectStore.getAllKeys()),
+        promisifyRequest(objectStore.getAll())
+      ]);
+      if (keys.length === 0) return null;
+
+      let version = 0;
+      const data = {};
+      keys.forEach((key, i) => {
+        if (key === VERSION_KEY) version = values[i];
+        else data[key] = values[i];
+      });
+      return { version, data };
+    },
+
+    write: async (version, changes) => {
+      const db = await openDB();
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const objectStore = transaction.objectStore(storeName);
+        objectStore.put(version, VERSION_KEY);
+        Object.entries(changes).forEach(([key, value]) => objectStore.put(value, key));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    },
+
+    remove: async (fields) => {
+      const db = await openDB();
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const objectStore = transaction.objectStore(storeName);
+        fields.forEach(field => objectStore.delete(field));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    },
+
+    clear: async () => {
+      const db = await openDB();
+      await promisifyRequest(db.transaction(storeName, 'readwrite').objectStore(storeName).clear());
+    }
+  };
+};
+
+// 현재 환경에서 사용할 기본 어댑터
+// 게임 저장소와 따로 보관할 데이터(증거 사진 등)는 dbName/storeName과 localKey를 따로 지정합니다.
+export const createDefaultAdapter = ({ dbName, storeName, localKey } = {}) => {
+  if (typeof window !== 'undefined' && window.indexedDB) {
+    return createIndexedDBAdapter({ dbName, storeName });
+  }
+  return createLocalStorageAdapter(window.localStorage, localKey);
+};
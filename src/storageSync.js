@@ -0,0 +1,129 @@
+// 탭 간 저장소 동기화
+// 한 탭에서 바뀐 값을 BroadcastChannel(지원하지 않으면 localStorage의 storage 이벤트)로
+// 다른 탭에 알리고, 받은 탭은 필드별 병합 규칙에 따라 자기 상태에 합칩니다.
+// 단순히 마지막에 쓴 값으로 덮어쓰면 두 탭에서 동시에 얻은 포인트가 사라지므로,
+// 목록(포인트 장부 포함)은 id 단위로 병합합니다.
+
+const CHANNEL_NAME = 'ecoquest-sync';
+const STORAGE_EVENT_KEY = 'ecoquest-sync-message';
+
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// 한 번 참이 되면 되돌아가지 않는 필드
+const STICKY_FLAGS = ['captured', 'completed', 'unlocked', 'read'];
+// 줄어들지 않는 숫자 필드
+const MONOTONIC_COUNTERS = ['progress'];
+
+// 같은 id를 가진 두 항목 병합
+const mergeEntity = (local, incoming) => {
+  const merged = { ...local, ...incoming };
+  STICKY_FLAGS.forEach(flag => {
+    if (flag in local || flag in incoming) merged[flag] = Boolean(local[flag] || incoming[flag]);
+  });
+  MONOTONIC_COUNTERS.forEach(field => {
+    if (typeof local[field] === 'number' && typeof incoming[field] === 'number') {
+      merged[field] = Math.max(local[field], incoming[field]);
+    }
+  });
+  return merged;
+};
+
+// id 단위 목록 병합 - 이 탭에만 있는 항목은 앞에 유지합니다.
+const mergeById = (local, incoming) => {
+  if (!Array.isArray(local) || !Array.isArray(incoming)) return incoming;
+  const localById = new Map(local.map(item => [item.id, item]));
+  const incomingIds = new Set(incoming.map(item => item.id));
+  const localOnly = local.filter(item => !incomingIds.has(item.id));
+  const merged = incoming.map(item => (
+    localById.has(item.id) ? mergeEntity(localById.get(item.id), item) : item
+  ));
+  return [...localOnly, ...merged];
+};
+
+// 핫스팟 목록 병합 - 목록은 받은 값을 쓰되, 같은 id 핫스팟의 정리 확인은 id 단위로 합칩니다.
+const mergeHotspots = (local, incoming) => {
+  if (!Array.isArray(local) || !Array.isArray(incoming)) return incoming;
+  const localById = new Map(local.map(spot => [spot.id, spot]));
+  return incoming.map(spot => {
+    const previous = localById.get(spot.id);
+    if (!previous || !Array.isArray(previous.cleanups)) return spot;
+    return { ...spot, cleanups: mergeById(previous.cleanups, spot.cleanups || []) };
+  });
+};
+
+// 필드별 동기화 규칙
+//   byId     - id 기준으로 목록 병합
+//   hotspots - 마지막에 쓴 목록을 쓰고 정리 확인(cleanups)만 id 기준으로 병합
+//   local    - 탭마다 따로 유지 (동기화하지 않음)
+//   그 외     - 마지막에 쓴 값 사용
+// 핫스팟은 신고 기록을 군집화한 결과라 id 단위로 합치면 합쳐지거나 갈라진 핫스팟이 되살아납니다.
+// 그래서 목록은 마지막에 쓴 값을 쓰고 신고 기록(id 단위 병합)으로 다시 군집화해 맞추되,
+// 두 탭에서 동시에 확인한 정리 기록은 어느 한쪽도 잃지 않도록 합칩니다.
+export const SYNC_STRATEGIES = {
+  pointsLedger: 'byId',
+  hotspots: 'hotspots',
+  activeTab: 'local',
+  dumpingReports: 'byId',
+  capturedMonsters: 'byId',
+  notifications: 'byId',
+  missions: 'byId',
+  badges: 'byId'
+};
+
+// 로컬 값 변경을 다른 탭에 보낼 메시지로 변환 (보낼 필요가 없으면 null)
+export const createSyncMessage = (key, next) => {
+  const strategy = SYNC_STRATEGIES[key];
+  if (strategy === 'local') return null;
+  return { key, value: next };
+};
+
+// 받은 메시지를 현재 값에 적용한 결과
+export const applySyncMessage = (current, message) => {
+  const strategy = SYNC_STRATEGIES[message.key];
+  if (strategy === 'byId') return mergeById(current, message.value);
+  if (strategy === 'hotspots') return mergeHotspots(current, message.value);
+  return message.value;
+};
+
+// 탭 간 메시지 채널 생성 - send(message)와 close()를 반환
+export const createSyncChannel = (onMessage) => {
+  const handle = (message) => {
+    if (message && message.sender !== TAB_ID) onMessage(message);
+  };
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => handle(event.data);
+    return {
+      send: (message) => channel.postMessage({ ...message, sender: TAB_ID }),
+      close: () => channel.close()
+    };
+  }
+
+  // BroadcastChannel이 없는 브라우저 - 다른 탭에서만 발생하는 storage 이벤트 이용
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      handle(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('동기화 메시지를 읽을 수 없습니다:', error);
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return {
+    send: (message) => {
+      try {
+        // 같은 내용이 연달아 와도 이벤트가 발생하도록 고유 값 추가
+        window.localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({
+          ...message,
+          sender: TAB_ID,
+          nonce: Math.random()
+        }));
+        window.localStorage.removeItem(STORAGE_EVENT_KEY);
+      } catch (error) {
+        console.error('동기화 메시지 전송 실패:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', onStorage)
+  };
+};
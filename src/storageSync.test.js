@@ -0,0 +1,62 @@
+import { applySyncMessage, createSyncMessage } from './storageSync';
+
+const mission = (id, overrides = {}) => ({ id, title: id, progress: 0, total: 3, completed: false, ...overrides });
+const cleanup = (id) => ({ id, confirmedAt: '2026-03-02T09:00:00.000Z', reporter: id });
+const hotspot = (id, cleanups = []) => ({ id, name: `핫스팟 ${id}`, reportCount: 3, cleanups });
+
+describe('createSyncMessage', () => {
+  it('탭마다 따로 쓰는 값은 보내지 않는다', () => {
+    expect(createSyncMessage('activeTab', 'map')).toBeNull();
+    expect(createSyncMessage('missions', [])).toEqual({ key: 'missions', value: [] });
+  });
+});
+
+describe('applySyncMessage - id 단위 병합', () => {
+  const apply = (current, value) => applySyncMessage(current, { key: 'missions', value });
+
+  it('양쪽에 있는 항목은 합치고, 이 탭에만 있는 항목은 남긴다', () => {
+    const merged = apply([mission('a'), mission('local')], [mission('a', { title: '새 제목' }), mission('remote')]);
+
+    expect(merged.map(item => item.id)).toEqual(['local', 'a', 'remote']);
+    expect(merged[1].title).toBe('새 제목');
+  });
+
+  it('한 번 참이 된 플래그는 되돌아가지 않는다', () => {
+    const [merged] = apply([mission('a', { completed: true })], [mission('a', { completed: false })]);
+    expect(merged.completed).toBe(true);
+
+    const [notification] = applySyncMessage([{ id: 'n', read: false }], { key: 'notifications', value: [{ id: 'n', read: true }] });
+    expect(notification.read).toBe(true);
+  });
+
+  it('진행도는 줄어들지 않는다', () => {
+    expect(apply([mission('a', { progress: 2 })], [mission('a', { progress: 1 })])[0].progress).toBe(2);
+    expect(apply([mission('a', { progress: 1 })], [mission('a', { progress: 3 })])[0].progress).toBe(3);
+  });
+
+  it('현재 값이 목록이 아니면 받은 값을 쓴다', () => {
+    expect(apply(undefined, [mission('a')])).toEqual([mission('a')]);
+  });
+});
+
+describe('applySyncMessage - 핫스팟', () => {
+  const apply = (current, value) => applySyncMessage(current, { key: 'hotspots', value });
+
+  it('두 탭에서 동시에 확인한 정리 기록을 모두 남긴다', () => {
+    const merged = apply([hotspot(1, [cleanup('mine')])], [hotspot(1, [cleanup('theirs')])]);
+
+    expect(merged[0].cleanups.map(item => item.id).sort()).toEqual(['mine', 'theirs']);
+  });
+
+  it('목록은 받은 값을 써서 합쳐진 핫스팟을 되살리지 않는다', () => {
+    const merged = apply([hotspot(1), hotspot(2)], [hotspot(3, [cleanup('theirs')])]);
+
+    expect(merged).toEqual([hotspot(3, [cleanup('theirs')])]);
+  });
+});
+
+describe('applySyncMessage - 그 외', () => {
+  it('마지막에 쓴 값을 쓴다', () => {
+    expect(applySyncMessage({ theme: 'light' }, { key: 'settings', value: { theme: 'dark' } })).toEqual({ theme: 'dark' });
+  });
+});
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+
+// 카카오맵 SDK 주소 (지도 화면과 신고 화면에서 함께 사용)
+export const KAKAO_MAP_SDK_URL = `//dapi.kakao.com/v2/maps/sdk.js?appkey=${process.env.REACT_APP_KAKAO_MAP_API_KEY}&libraries=services,clusterer,drawing`;
+
+// 카카오맵 스크립트 로드를 위한 훅
+const useScript = (src) => {
+  const [status, setStatus] = useState(src ? "loading" : "idle");
+
+  useEffect(() => {
+    if (!src) {
+      setStatus("idle");
+      return;
+    }
+
+    // 이미 스크립트가 존재하는지 확인
+    let script = document.querySelector(`script[src="${src}"]`);
+
+    if (!script) {
+      script = document.createElement("script");
+      script.src = src;
+      script.async = true;
+      script.setAttribute("data-status", "loading");
+      document.body.appendChild(script);
+
+      const setAttributeFromEvent = (event) => {
+        script.setAttribute(
+          "data-status",
+          event.type === "load" ? "ready" : "error"
+        );
+      };
+
+      script.addEventListener("load", setAttributeFromEvent);
+      script.addEventListener("error", setAttributeFromEvent);
+    } else {
+      setStatus(script.getAttribute("data-status"));
+    }
+
+    const setStateFromEvent = (event) => {
+      setStatus(event.type === "load" ? "ready" : "error");
+    };
+
+    script.addEventListener("load", setStateFromEvent);
+    script.addEventListener("error", setStateFromEvent);
+
+    return () => {
+      if (script) {
+        script.removeEventListener("load", setStateFromEvent);
+        script.removeEventListener("error", setStateFromEvent);
+      }
+    };
+  }, [src]);
+
+  return status;
+};
+
+export default useScript;
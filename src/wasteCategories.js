@@ -0,0 +1,32 @@
+// 무단투기 쓰레기 분류
+// 신고할 때 어떤 쓰레기가 버려졌는지 기록하고, 핫스팟 주변에는 그 쓰레기와 닮은
+// 몬스터가 더 자주 나타나도록 출현 가중치에 반영합니다 (monsterSpawner.js 참고).
+// monsterType은 몬스터 타입, speciesIds는 특히 닮은 몬스터 종류입니다.
+
+export const WASTE_CATEGORIES = [
+  { id: 'vinyl', label: '비닐봉지', monsterType: '플라스틱', speciesIds: [5] },
+  { id: 'pet', label: '페트병', monsterType: '플라스틱', speciesIds: [2] },
+  { id: 'plastic', label: '플라스틱 용기', monsterType: '플라스틱', speciesIds: [1] },
+  { id: 'paper', label: '종이·박스', monsterType: '종이', speciesIds: [3] },
+  { id: 'can', label: '캔·고철', monsterType: '금속', speciesIds: [4] },
+  { id: 'glass', label: '유리병', monsterType: '유리', speciesIds: [6] },
+  { id: 'general', label: '일반 쓰레기', monsterType: null, speciesIds: [] }
+];
+
+export const getWasteCategory = (categoryId) => (
+  WASTE_CATEGORIES.find(category => category.id === categoryId)
+);
+
+// 핫스팟의 분류별 신고 수에 한 건 추가한 새 객체 반환
+export const addWasteReport = (wasteCounts = {}, categoryId) => {
+  if (!getWasteCategory(categoryId)) return wasteCounts;
+  return { ...wasteCounts, [categoryId]: (wasteCounts[categoryId] || 0) + 1 };
+};
+
+// 가장 많이 신고된 분류부터 정렬한 목록
+export const getTopWasteCategories = (wasteCounts = {}) => (
+  Object.entries(wasteCounts)
+    .filter(([categoryId, count]) => count > 0 && getWasteCategory(categoryId))
+    .sort((a, b) => b[1] - a[1])
+    .map(([categoryId, count]) => ({ ...getWasteCategory(categoryId), count }))
+);